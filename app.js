@@ -0,0 +1,213 @@
+const path = require('path')
+const express = require('express')
+const cors = require('cors')
+const { authenticate } = require('./lib/auth')
+const { logger, requestLogger } = require('./lib/logger')
+const { AppError, NotFoundError, errorHandler, notFoundHandler } = require('./lib/errors')
+const { createAnalytics } = require('./lib/analytics')
+const { createAudit } = require('./lib/audit')
+const { createAttendance } = require('./lib/attendance')
+const { createLessonSearch } = require('./lib/search')
+const { createWaitlist } = require('./lib/waitlist')
+const { createCarts } = require('./lib/carts')
+const { createIdempotency } = require('./lib/idempotency')
+const { createPricing } = require('./lib/pricing')
+const { createNotifications } = require('./lib/notifications')
+const { createTransports } = require('./lib/transports')
+const { createMemoryStore, createMongoStore, rateLimit } = require('./lib/rate-limit')
+const { GENERATED_NAME, createImageStore } = require('./lib/images')
+const analyticsRoutes = require('./routes/analytics')
+const attendanceRoutes = require('./routes/attendance')
+const auditRoutes = require('./routes/audit')
+const authRoutes = require('./routes/auth')
+const cartRoutes = require('./routes/carts')
+const childRoutes = require('./routes/children')
+const healthRoutes = require('./routes/health')
+const importExportRoutes = require('./routes/import-export')
+const lessonRoutes = require('./routes/lessons')
+const orderRoutes = require('./routes/orders')
+const promotionRoutes = require('./routes/promotions')
+const searchRoutes = require('./routes/search')
+const waitlistRoutes = require('./routes/waitlist')
+
+// The services both the routes and the background sweeper use. Build them
+// once and hand the same set to createApp and startSweeper.
+function createServices({ db, config, transports = createTransports(config) }) {
+  const audit = createAudit({ db })
+  const notifications = createNotifications({ db, transports, maxAttempts: config.notifyMaxAttempts })
+  const waitlist = createWaitlist({ db, offerMinutes: config.waitlistOfferMinutes, notifications, audit })
+  const carts = createCarts({ db, holdMinutes: config.cartHoldMinutes, waitlist, audit })
+
+  return { audit, notifications, waitlist, carts }
+}
+
+// Build the Express app around an already connected database. Nothing here
+// listens or connects, so tests can hand in their own db.
+function createApp({ db, config, isShuttingDown = () => false, services = createServices({ db, config }) }) {
+  const app = express()
+  const lessonSearch = createLessonSearch(() => db.collection('lessons'))
+  const { audit, notifications, waitlist, carts } = services
+  const attendance = createAttendance({ db })
+  const analytics = createAnalytics({ db })
+  const images = createImageStore({ dir: config.imagesDir })
+  const idempotency = createIdempotency({ db, ttlHours: config.idempotencyKeyHours })
+  const pricing = createPricing({
+    db,
+    rules: {
+      siblingPercent: config.siblingDiscountPercent,
+      bundleMinLessons: config.bundleMinLessons,
+      bundlePercent: config.bundleDiscountPercent
+    }
+  })
+  const rateLimitStore = config.rateLimitStore === 'mongo' ? createMongoStore({ db }) : createMemoryStore()
+
+  const limit = (name, perMinute) => rateLimit({
+    store: rateLimitStore,
+    name,
+    perMinute,
+    allowlist: config.rateLimitAllowlist
+  })
+
+  if (config.trustProxy > 0) {
+    app.set('trust proxy', config.trustProxy)
+  }
+
+  app.use(requestLogger())
+
+  app.use(cors({
+    origin: config.corsOrigins.includes('*') ? true : config.corsOrigins,
+    exposedHeaders: [
+      'X-Total-Count', 'Link', 'X-Request-Id', 'Idempotent-Replayed', 'Retry-After',
+      'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'
+    ]
+  }))
+
+  app.use(express.json({ limit: config.maxBodyBytes }))
+
+  app.use(express.urlencoded({ extended: true, limit: config.maxBodyBytes }))
+
+  app.use(authenticate(config.jwtSecret))
+
+  // Ask keep-alive clients to reconnect elsewhere once we are shutting down
+  app.use((req, res, next) => {
+    if (isShuttingDown()) {
+      res.set('Connection', 'close')
+    }
+    next()
+  })
+
+  // Load balancer probes are never rate limited
+  app.use(healthRoutes({ db, isShuttingDown }))
+
+  // Every client gets a limit across the API, and tighter ones on endpoints
+  // that are expensive to serve or to abuse
+  app.use(limit('api', config.rateLimitPerMinute))
+  app.use('/search', limit('search', config.searchRateLimitPerMinute))
+  app.post('/orders', limit('orders', config.orderRateLimitPerMinute))
+  app.use('/images', limit('images', config.imageRateLimitPerMinute))
+
+  // Uploaded images have content-hashed names, so a name always means the
+  // same bytes and browsers can keep them for a year
+  app.use('/images', express.static(config.imagesDir, {
+    fallthrough: false,
+    setHeaders: (res, filePath) => {
+      if (GENERATED_NAME.test(path.basename(filePath))) {
+        res.set('Cache-Control', 'public, max-age=31536000, immutable')
+      }
+    }
+  }))
+
+  app.use('/images', (err, req, res, next) => {
+    if (err instanceof AppError) {
+      return next(err)
+    }
+    logger.debug('Image not found', { path: req.url })
+    next(new NotFoundError(`The requested image ${req.url} does not exist`, { title: 'Image not found', code: 'IMAGE_NOT_FOUND' }))
+  })
+
+  // API info endpoint (moved to root)
+  app.get('/', async (req, res) => {
+    res.json({
+      message: '🎓 After School Classes API is running!',
+      version: '1.0.0',
+      endpoints: [
+        'GET /lessons?page&limit&sort&minPrice&maxPrice&hasSpaces&location&subject - List lessons',
+        'GET /lessons/:id - Get one lesson',
+        'GET /lessons/:id/sessions?from&to - List the dates a lesson runs on',
+        'GET /lessons/:id/roster - Children booked on a lesson (admin, tutor)',
+        'GET /lessons/:id/sessions/:date/attendance - Register for one session (admin, tutor)',
+        'PUT /lessons/:id/sessions/:date/attendance - Mark children present, absent or late (admin, tutor)',
+        'GET /lessons/:id/attendance?from&to&format=csv - Attendance register and totals (admin, tutor)',
+        'POST /lessons - Create lesson',
+        'POST /lessons/:id/image - Upload a lesson image as multipart "image" (admin)',
+        'PUT /lessons/:id - Update lesson',
+        'DELETE /lessons/:id - Delete lesson',
+        'POST /lessons/:id/revert - Put a lesson back to an earlier version from the audit log (admin)',
+        'POST /lessons/:id/waitlist - Join the waitlist for a full lesson',
+        'GET /lessons/:id/waitlist - View a lesson\'s waitlist (admin)',
+        'GET /search?query=term - Search lessons (supports price<100, spaces>0)',
+        'POST /carts - Start a cart that holds seats',
+        'GET /carts/:id - View a cart',
+        'POST /carts/:id/items - Hold seats on a lesson',
+        'DELETE /carts/:id/items/:lessonId - Release a lesson\'s seats',
+        'DELETE /carts/:id - Abandon a cart',
+        'POST /orders - Create new order (from lessons or a cartId, with an optional promoCode; send an Idempotency-Key to retry safely)',
+        'POST /orders/quote - Price lessons or a cart with every discount, without ordering',
+        'GET /orders?page&limit&sort&from&to&minTotal&maxTotal&status - List orders (admin: all, parent: own)',
+        'GET /orders/:id - Get one order',
+        'PATCH /orders/:id/status - Change order status (admin)',
+        'POST /orders/:id/cancel - Cancel an order and release its seats',
+        'GET /children - List your children',
+        'POST /children - Add a child to your account',
+        'GET /children/:id - Get one child',
+        'GET /children/:id/attendance - A child\'s attendance per lesson',
+        'PUT /children/:id - Update a child',
+        'DELETE /children/:id - Remove a child',
+        'GET /admin/analytics/revenue?from&to&interval=day|week|term - Revenue over time (admin)',
+        'GET /admin/analytics/occupancy?from&to - Booked seats against capacity per lesson (admin)',
+        'GET /admin/analytics/popular?from&to&limit - Top subjects and locations (admin)',
+        'GET /admin/analytics/customers?from&to - Repeat customer counts (admin)',
+        'GET /admin/promotions - List discount codes (admin)',
+        'POST /admin/promotions - Create a percentage or fixed discount code (admin)',
+        'GET /admin/promotions/:id - Get one discount code (admin)',
+        'PUT /admin/promotions/:id - Update or switch off a discount code (admin)',
+        'DELETE /admin/promotions/:id - Delete a discount code (admin)',
+        'GET /admin/audit?entity=lesson|order&id - Who changed lessons and orders and why; give a reason with an Audit-Reason header (admin)',
+        'POST /admin/lessons/import?dryRun=true - Import lessons from CSV or JSON (admin)',
+        'GET /admin/lessons/export - Download lessons as CSV (admin)',
+        'GET /admin/orders/export - Download orders as CSV (admin)',
+        'POST /auth/register - Sign up as a parent',
+        'POST /auth/users - Create a tutor or admin account (admin)',
+        'POST /auth/login - Sign in',
+        'GET /auth/me - Current user',
+        'GET /healthz - Liveness check',
+        'GET /readyz - Readiness check'
+      ],
+      timestamp: new Date().toISOString()
+    })
+  })
+
+  app.use('/auth', authRoutes({ db, config }))
+  app.use('/lessons', lessonRoutes({ db, lessonSearch, waitlist, images, maxImageBytes: config.maxImageBytes, audit }))
+  app.use('/lessons', waitlistRoutes({ db, waitlist }))
+  app.use('/lessons', attendanceRoutes({ db, attendance }))
+  app.use('/search', searchRoutes({ lessonSearch }))
+  app.use('/carts', cartRoutes({ db, carts }))
+  app.use('/children', childRoutes({ db, attendance }))
+  app.use('/admin/analytics', analyticsRoutes({ analytics }))
+  app.use('/admin/promotions', promotionRoutes({ db }))
+  app.use('/admin/audit', auditRoutes({ audit }))
+  app.use('/admin', importExportRoutes({ db, lessonSearch, waitlist, audit }))
+  app.use('/orders', orderRoutes({ db, waitlist, carts, idempotency, pricing, notifications, audit }))
+
+  // Anything no route answered, then every error, in one JSON envelope
+  app.use(notFoundHandler())
+  app.use(errorHandler())
+
+  return app
+}
+
+module.exports = {
+  createServices,
+  createApp
+}
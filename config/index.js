@@ -0,0 +1,341 @@
+const fs = require('fs')
+const net = require('net')
+const path = require('path')
+const dotenv = require('dotenv')
+const { LEVELS } = require('../lib/logger')
+const { STORES } = require('../lib/rate-limit')
+const { EMAIL_TRANSPORTS, SMS_TRANSPORTS } = require('../lib/transports')
+
+// Defaults for each named profile. Anything here can be overridden by a JSON
+// file, a .env file or real environment variables, in that order.
+const PROFILES = {
+  development: {
+    port: 3000,
+    mongoUrl: 'mongodb://localhost:27017',
+    dbName: 'afterschool',
+    corsOrigins: ['http://localhost:8080', 'http://localhost:5173'],
+    jwtSecret: 'development-only-secret',
+    mongoConnectRetries: 5,
+    mongoRetryDelayMs: 1000,
+    shutdownTimeoutMs: 10000,
+    waitlistOfferMinutes: 60,
+    cartHoldMinutes: 15,
+    idempotencyKeyHours: 24,
+    sweepIntervalMs: 60000,
+    imagesDir: 'public/images',
+    maxImageBytes: 5 * 1024 * 1024,
+    logLevel: 'debug',
+    emailTransport: 'console',
+    smsTransport: 'console',
+    emailFrom: 'After School Classes <bookings@example.com>',
+    smsCountryCode: '44',
+    notificationsFile: 'notifications.log',
+    notifyMaxAttempts: 5,
+    siblingDiscountPercent: 10,
+    bundleMinLessons: 3,
+    bundleDiscountPercent: 5,
+    trustProxy: 0,
+    maxBodyBytes: 100 * 1024,
+    rateLimitStore: 'memory',
+    rateLimitAllowlist: [],
+    rateLimitPerMinute: 300,
+    searchRateLimitPerMinute: 60,
+    orderRateLimitPerMinute: 10,
+    imageRateLimitPerMinute: 300
+  },
+  test: {
+    port: 0,
+    mongoUrl: 'mongodb://localhost:27017',
+    dbName: 'afterschool_test',
+    corsOrigins: ['*'],
+    jwtSecret: 'test-only-secret',
+    mongoConnectRetries: 1,
+    mongoRetryDelayMs: 100,
+    shutdownTimeoutMs: 1000,
+    waitlistOfferMinutes: 60,
+    cartHoldMinutes: 15,
+    idempotencyKeyHours: 24,
+    sweepIntervalMs: 60000,
+    imagesDir: 'public/images',
+    maxImageBytes: 5 * 1024 * 1024,
+    logLevel: 'silent',
+    emailTransport: 'none',
+    smsTransport: 'none',
+    emailFrom: 'After School Classes <bookings@example.com>',
+    smsCountryCode: '44',
+    notificationsFile: 'notifications.log',
+    notifyMaxAttempts: 5,
+    siblingDiscountPercent: 0,
+    bundleMinLessons: 3,
+    bundleDiscountPercent: 0,
+    trustProxy: 0,
+    maxBodyBytes: 100 * 1024,
+    rateLimitStore: 'memory',
+    rateLimitAllowlist: [],
+    rateLimitPerMinute: 10000,
+    searchRateLimitPerMinute: 10000,
+    orderRateLimitPerMinute: 10000,
+    imageRateLimitPerMinute: 10000
+  },
+  production: {
+    port: 3000,
+    dbName: 'afterschool',
+    corsOrigins: [],
+    mongoConnectRetries: 10,
+    mongoRetryDelayMs: 1000,
+    shutdownTimeoutMs: 15000,
+    waitlistOfferMinutes: 1440,
+    cartHoldMinutes: 15,
+    idempotencyKeyHours: 24,
+    sweepIntervalMs: 60000,
+    imagesDir: 'public/images',
+    maxImageBytes: 5 * 1024 * 1024,
+    logLevel: 'info',
+    emailTransport: 'none',
+    smsTransport: 'none',
+    emailFrom: 'After School Classes <bookings@example.com>',
+    smsCountryCode: '44',
+    notificationsFile: 'notifications.log',
+    notifyMaxAttempts: 5,
+    siblingDiscountPercent: 10,
+    bundleMinLessons: 3,
+    bundleDiscountPercent: 5,
+    trustProxy: 0,
+    maxBodyBytes: 100 * 1024,
+    rateLimitStore: 'memory',
+    rateLimitAllowlist: [],
+    rateLimitPerMinute: 300,
+    searchRateLimitPerMinute: 60,
+    orderRateLimitPerMinute: 10,
+    imageRateLimitPerMinute: 300
+  }
+}
+
+// Environment variable for each config key
+const ENV_KEYS = {
+  port: 'PORT',
+  mongoUrl: 'MONGO_URL',
+  dbName: 'DB_NAME',
+  corsOrigins: 'CORS_ORIGINS',
+  jwtSecret: 'JWT_SECRET',
+  adminEmail: 'ADMIN_EMAIL',
+  adminPassword: 'ADMIN_PASSWORD',
+  mongoConnectRetries: 'MONGO_CONNECT_RETRIES',
+  mongoRetryDelayMs: 'MONGO_RETRY_DELAY_MS',
+  shutdownTimeoutMs: 'SHUTDOWN_TIMEOUT_MS',
+  waitlistOfferMinutes: 'WAITLIST_OFFER_MINUTES',
+  cartHoldMinutes: 'CART_HOLD_MINUTES',
+  idempotencyKeyHours: 'IDEMPOTENCY_KEY_HOURS',
+  sweepIntervalMs: 'SWEEP_INTERVAL_MS',
+  imagesDir: 'IMAGES_DIR',
+  maxImageBytes: 'MAX_IMAGE_BYTES',
+  logLevel: 'LOG_LEVEL',
+  emailTransport: 'EMAIL_TRANSPORT',
+  smsTransport: 'SMS_TRANSPORT',
+  smtpUrl: 'SMTP_URL',
+  emailFrom: 'EMAIL_FROM',
+  twilioAccountSid: 'TWILIO_ACCOUNT_SID',
+  twilioAuthToken: 'TWILIO_AUTH_TOKEN',
+  smsFrom: 'SMS_FROM',
+  smsCountryCode: 'SMS_COUNTRY_CODE',
+  notificationsFile: 'NOTIFICATIONS_FILE',
+  notifyMaxAttempts: 'NOTIFY_MAX_ATTEMPTS',
+  siblingDiscountPercent: 'SIBLING_DISCOUNT_PERCENT',
+  bundleMinLessons: 'BUNDLE_MIN_LESSONS',
+  bundleDiscountPercent: 'BUNDLE_DISCOUNT_PERCENT',
+  trustProxy: 'TRUST_PROXY',
+  maxBodyBytes: 'MAX_BODY_BYTES',
+  rateLimitStore: 'RATE_LIMIT_STORE',
+  rateLimitAllowlist: 'RATE_LIMIT_ALLOWLIST',
+  rateLimitPerMinute: 'RATE_LIMIT_PER_MINUTE',
+  searchRateLimitPerMinute: 'SEARCH_RATE_LIMIT_PER_MINUTE',
+  orderRateLimitPerMinute: 'ORDER_RATE_LIMIT_PER_MINUTE',
+  imageRateLimitPerMinute: 'IMAGE_RATE_LIMIT_PER_MINUTE'
+}
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`)
+    this.name = 'ConfigError'
+    this.problems = problems
+  }
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (error) {
+    throw new ConfigError([`Could not read config file ${file}: ${error.message}`])
+  }
+}
+
+function fromEnv(env) {
+  const values = {}
+  for (const [key, name] of Object.entries(ENV_KEYS)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      values[key] = env[name]
+    }
+  }
+  return values
+}
+
+function validate(raw, profile) {
+  const problems = []
+  const config = { profile }
+
+  const port = Number(raw.port)
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    problems.push(`PORT must be a port number, got "${raw.port}"`)
+  }
+  config.port = port
+
+  if (typeof raw.mongoUrl !== 'string' || !/^mongodb(\+srv)?:\/\//.test(raw.mongoUrl)) {
+    problems.push('MONGO_URL must be set to a mongodb:// or mongodb+srv:// connection string')
+  }
+  config.mongoUrl = raw.mongoUrl
+
+  if (typeof raw.dbName !== 'string' || !/^[A-Za-z0-9_-]+$/.test(raw.dbName)) {
+    problems.push('DB_NAME must be a database name made of letters, digits, _ or -')
+  }
+  config.dbName = raw.dbName
+
+  const origins = typeof raw.corsOrigins === 'string'
+    ? raw.corsOrigins.split(',').map(origin => origin.trim()).filter(Boolean)
+    : raw.corsOrigins
+  if (!Array.isArray(origins)) {
+    problems.push('CORS_ORIGINS must be a comma separated list of origins')
+  } else {
+    for (const origin of origins) {
+      if (origin !== '*' && !/^https?:\/\/[^/]+$/.test(origin)) {
+        problems.push(`CORS_ORIGINS entry "${origin}" must look like https://host[:port] or be *`)
+      }
+    }
+  }
+  config.corsOrigins = origins
+
+  if (typeof raw.jwtSecret !== 'string' || raw.jwtSecret.length < 16) {
+    problems.push('JWT_SECRET must be set to at least 16 characters')
+  }
+  config.jwtSecret = raw.jwtSecret
+
+  if (Boolean(raw.adminEmail) !== Boolean(raw.adminPassword)) {
+    problems.push('ADMIN_EMAIL and ADMIN_PASSWORD must be set together')
+  }
+  config.adminEmail = raw.adminEmail
+  config.adminPassword = raw.adminPassword
+
+  for (const [key, name, min] of [
+    ['mongoConnectRetries', 'MONGO_CONNECT_RETRIES', 1],
+    ['mongoRetryDelayMs', 'MONGO_RETRY_DELAY_MS', 0],
+    ['shutdownTimeoutMs', 'SHUTDOWN_TIMEOUT_MS', 0],
+    ['waitlistOfferMinutes', 'WAITLIST_OFFER_MINUTES', 1],
+    ['cartHoldMinutes', 'CART_HOLD_MINUTES', 1],
+    ['idempotencyKeyHours', 'IDEMPOTENCY_KEY_HOURS', 1],
+    ['sweepIntervalMs', 'SWEEP_INTERVAL_MS', 1000],
+    ['maxImageBytes', 'MAX_IMAGE_BYTES', 1024],
+    ['trustProxy', 'TRUST_PROXY', 0],
+    ['maxBodyBytes', 'MAX_BODY_BYTES', 1024],
+    ['rateLimitPerMinute', 'RATE_LIMIT_PER_MINUTE', 1],
+    ['searchRateLimitPerMinute', 'SEARCH_RATE_LIMIT_PER_MINUTE', 1],
+    ['orderRateLimitPerMinute', 'ORDER_RATE_LIMIT_PER_MINUTE', 1],
+    ['imageRateLimitPerMinute', 'IMAGE_RATE_LIMIT_PER_MINUTE', 1],
+    ['siblingDiscountPercent', 'SIBLING_DISCOUNT_PERCENT', 0],
+    ['bundleMinLessons', 'BUNDLE_MIN_LESSONS', 2],
+    ['bundleDiscountPercent', 'BUNDLE_DISCOUNT_PERCENT', 0],
+    ['notifyMaxAttempts', 'NOTIFY_MAX_ATTEMPTS', 1]
+  ]) {
+    const value = Number(raw[key])
+    if (!Number.isInteger(value) || value < min) {
+      problems.push(`${name} must be a whole number of at least ${min}, got "${raw[key]}"`)
+    }
+    config[key] = value
+  }
+
+  if (typeof raw.imagesDir !== 'string' || !raw.imagesDir.trim()) {
+    problems.push('IMAGES_DIR must be the directory lesson images are stored in')
+  }
+  config.imagesDir = raw.imagesDir
+
+  for (const [key, name] of [['siblingDiscountPercent', 'SIBLING_DISCOUNT_PERCENT'], ['bundleDiscountPercent', 'BUNDLE_DISCOUNT_PERCENT']]) {
+    if (config[key] > 100) {
+      problems.push(`${name} must be a percentage from 0 to 100, got "${raw[key]}"`)
+    }
+  }
+
+  if (!EMAIL_TRANSPORTS.includes(raw.emailTransport)) {
+    problems.push(`EMAIL_TRANSPORT must be one of ${EMAIL_TRANSPORTS.join(', ')}, got "${raw.emailTransport}"`)
+  }
+  if (!SMS_TRANSPORTS.includes(raw.smsTransport)) {
+    problems.push(`SMS_TRANSPORT must be one of ${SMS_TRANSPORTS.join(', ')}, got "${raw.smsTransport}"`)
+  }
+  if (raw.emailTransport === 'smtp' && (typeof raw.smtpUrl !== 'string' || !/^smtps?:\/\//.test(raw.smtpUrl))) {
+    problems.push('SMTP_URL must be set to an smtp:// or smtps:// URL when EMAIL_TRANSPORT is smtp')
+  }
+  if (raw.emailTransport === 'smtp' && !raw.emailFrom) {
+    problems.push('EMAIL_FROM must be set when EMAIL_TRANSPORT is smtp')
+  }
+  if (raw.smsTransport === 'twilio' && !(raw.twilioAccountSid && raw.twilioAuthToken && raw.smsFrom)) {
+    problems.push('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and SMS_FROM must be set when SMS_TRANSPORT is twilio')
+  }
+  if (!/^[1-9]\d{0,2}$/.test(String(raw.smsCountryCode))) {
+    problems.push(`SMS_COUNTRY_CODE must be a calling code of 1 to 3 digits, got "${raw.smsCountryCode}"`)
+  }
+  if ([raw.emailTransport, raw.smsTransport].includes('file') && !raw.notificationsFile) {
+    problems.push('NOTIFICATIONS_FILE must be set when a transport is file')
+  }
+  for (const key of ['emailTransport', 'smsTransport', 'smtpUrl', 'emailFrom', 'twilioAccountSid', 'twilioAuthToken', 'smsFrom', 'notificationsFile']) {
+    config[key] = raw[key]
+  }
+  config.smsCountryCode = String(raw.smsCountryCode)
+
+  if (!STORES.includes(raw.rateLimitStore)) {
+    problems.push(`RATE_LIMIT_STORE must be one of ${STORES.join(', ')}, got "${raw.rateLimitStore}"`)
+  }
+  config.rateLimitStore = raw.rateLimitStore
+
+  const allowlist = typeof raw.rateLimitAllowlist === 'string'
+    ? raw.rateLimitAllowlist.split(',').map(address => address.trim()).filter(Boolean)
+    : raw.rateLimitAllowlist
+  if (!Array.isArray(allowlist) || allowlist.some(address => !net.isIP(address))) {
+    problems.push('RATE_LIMIT_ALLOWLIST must be a comma separated list of IP addresses')
+  }
+  config.rateLimitAllowlist = allowlist
+
+  if (!Object.keys(LEVELS).includes(raw.logLevel)) {
+    problems.push(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')}, got "${raw.logLevel}"`)
+  }
+  config.logLevel = raw.logLevel
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems)
+  }
+
+  return Object.freeze(config)
+}
+
+// Build the config for a profile (NODE_ENV, development by default) from the
+// profile defaults, an optional JSON file (CONFIG_FILE, or config/<profile>.json
+// when it exists), an optional .env file and the environment. Throws a
+// ConfigError listing every problem found.
+function loadConfig({ env = process.env, profile, envFile = '.env' } = {}) {
+  const fileEnv = envFile && fs.existsSync(envFile)
+    ? dotenv.parse(fs.readFileSync(envFile))
+    : {}
+  const mergedEnv = { ...fileEnv, ...env }
+
+  const profileName = profile || mergedEnv.NODE_ENV || 'development'
+  if (!PROFILES[profileName]) {
+    throw new ConfigError([`Unknown profile "${profileName}", expected one of ${Object.keys(PROFILES).join(', ')}`])
+  }
+
+  const defaultFile = path.join(__dirname, `${profileName}.json`)
+  const configFile = mergedEnv.CONFIG_FILE || (fs.existsSync(defaultFile) ? defaultFile : null)
+  const fileValues = configFile ? readJsonFile(configFile) : {}
+
+  return validate({ ...PROFILES[profileName], ...fileValues, ...fromEnv(mergedEnv) }, profileName)
+}
+
+module.exports = {
+  loadConfig,
+  ConfigError
+}
@@ -0,0 +1,320 @@
+const { isDate } = require('./schedule')
+const { ACTIVE_ORDERS } = require('./bookings')
+const { ValidationError } = require('./errors')
+
+const INTERVALS = ['day', 'week', 'term']
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_LIMIT = 50
+
+// Longest span a report covers, so a daily chart stays a sensible size
+const MAX_RANGE_DAYS = 5 * 366
+
+// Read the from / to date range (YYYY-MM-DD, both inclusive) shared by every
+// analytics endpoint. Returns { from, to, errors }.
+function parseRange(query) {
+  const errors = {}
+
+  for (const param of ['from', 'to']) {
+    if (query[param] !== undefined && !isDate(query[param])) {
+      errors[param] = 'must be a YYYY-MM-DD date'
+    }
+  }
+  if (!errors.from && !errors.to && query.from && query.to) {
+    if (query.from > query.to) {
+      errors.to = 'must not be before from'
+    } else if (daysBetween(query.from, query.to) > MAX_RANGE_DAYS) {
+      errors.to = `must be at most ${MAX_RANGE_DAYS} days after from`
+    }
+  }
+
+  return { from: query.from, to: query.to, errors }
+}
+
+function daysBetween(from, to) {
+  return (new Date(to).getTime() - new Date(from).getTime()) / DAY_MS
+}
+
+// Active orders placed between from and to
+function orderMatch({ from, to }) {
+  const createdAt = {}
+  if (from) {
+    createdAt.$gte = new Date(`${from}T00:00:00Z`)
+  }
+  if (to) {
+    createdAt.$lt = new Date(new Date(`${to}T00:00:00Z`).getTime() + DAY_MS)
+  }
+  return Object.keys(createdAt).length > 0 ? { ...ACTIVE_ORDERS, createdAt } : ACTIVE_ORDERS
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round(part / whole * 1000) / 10 : null
+}
+
+// Start of the day or Monday-based week a date falls in, as YYYY-MM-DD
+function periodStart(date, interval) {
+  const day = new Date(`${date.toISOString().slice(0, 10)}T00:00:00Z`)
+  if (interval === 'week') {
+    day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7)
+  }
+  return day.toISOString().slice(0, 10)
+}
+
+// Aggregate reports over orders and lessons for the admin dashboard. Every
+// report only counts orders that hold their seats, so cancelled and refunded
+// orders don't inflate the numbers.
+function createAnalytics({ db }) {
+  const orders = () => db.collection('orders')
+  const lessons = () => db.collection('lessons')
+
+  // Seats, revenue and order ids per lesson across the matching orders
+  async function lessonTotals(range) {
+    const rows = await orders().aggregate([
+      { $match: orderMatch(range) },
+      { $unwind: '$lessons' },
+      {
+        $group: {
+          _id: '$lessons.id',
+          subject: { $first: '$lessons.subject' },
+          seats: { $sum: '$lessons.quantity' },
+          revenue: { $sum: '$lessons.lineTotal' },
+          orderIds: { $addToSet: '$_id' }
+        }
+      }
+    ]).toArray()
+
+    return rows.map(row => ({ ...row, orderIds: row.orderIds.map(id => id.toString()) }))
+  }
+
+  // Revenue, orders and seats per day or week the orders were placed, or per
+  // term the booked lessons run in. Day and week series have no gaps, so they
+  // can be charted as they are.
+  async function revenue({ from, to, interval = 'day' }) {
+    const points = interval === 'term'
+      ? await revenueByTerm({ from, to })
+      : await revenueByDate({ from, to, interval })
+
+    return {
+      interval,
+      from: from || null,
+      to: to || null,
+      points,
+      totals: {
+        revenue: round(points.reduce((sum, point) => sum + point.revenue, 0)),
+        orders: points.reduce((sum, point) => sum + point.orders, 0),
+        seats: points.reduce((sum, point) => sum + point.seats, 0)
+      }
+    }
+  }
+
+  async function revenueByDate({ from, to, interval }) {
+    const rows = await orders().aggregate([
+      { $match: orderMatch({ from, to }) },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday' } },
+          revenue: { $sum: '$total' },
+          orders: { $sum: 1 },
+          seats: { $sum: { $sum: '$lessons.quantity' } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]).toArray()
+
+    const byPeriod = new Map(rows.map(row => [row._id.toISOString().slice(0, 10), row]))
+    if (byPeriod.size === 0 && !(from && to)) {
+      return []
+    }
+
+    const first = periodStart(new Date(from || [...byPeriod.keys()][0]), interval)
+    const last = periodStart(to ? new Date(to) : new Date([...byPeriod.keys()].pop()), interval)
+
+    // parseRange caps from and to given together; with one end open the
+    // span comes from the orders, so check it before filling in the gaps
+    if (daysBetween(first, last) > MAX_RANGE_DAYS) {
+      throw new ValidationError(`A revenue chart can cover at most ${MAX_RANGE_DAYS} days`, {
+        [from ? 'from' : 'to']: `must be within ${MAX_RANGE_DAYS} days of the other end of the range`
+      }, { title: 'Invalid query' })
+    }
+    const step = interval === 'week' ? 7 * DAY_MS : DAY_MS
+    const points = []
+
+    for (let time = new Date(first).getTime(); time <= new Date(last).getTime(); time += step) {
+      const period = new Date(time).toISOString().slice(0, 10)
+      const row = byPeriod.get(period)
+      points.push({
+        period,
+        revenue: row ? round(row.revenue) : 0,
+        orders: row ? row.orders : 0,
+        seats: row ? row.seats : 0
+      })
+    }
+
+    return points
+  }
+
+  // Lessons without a schedule are grouped as an unscheduled term
+  async function revenueByTerm(range) {
+    const totals = await lessonTotals(range)
+    const lessonDocs = await lessons().find({}, { projection: { schedule: 1 } }).toArray()
+    const terms = new Map(lessonDocs.map(lesson => [
+      lesson._id.toString(),
+      lesson.schedule ? `${lesson.schedule.termStart}/${lesson.schedule.termEnd}` : 'unscheduled'
+    ]))
+
+    const byTerm = new Map()
+    for (const row of totals) {
+      const term = terms.get(row._id) || 'unscheduled'
+      const point = byTerm.get(term) || { period: term, revenue: 0, orderIds: new Set(), seats: 0 }
+      point.revenue += row.revenue
+      point.seats += row.seats
+      row.orderIds.forEach(id => point.orderIds.add(id))
+      byTerm.set(term, point)
+    }
+
+    return [...byTerm.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(({ period, revenue, orderIds, seats }) => ({ period, revenue: round(revenue), orders: orderIds.size, seats }))
+  }
+
+  // How full each lesson is: seats booked by orders in the range against the
+  // capacity recorded when the lesson was created. Lessons from before
+  // capacity was recorded fall back to the seats still free plus every seat
+  // booked or held in carts and waitlist offers, since spaces only counts
+  // what's left. With a range, only lessons whose term overlaps it are shown.
+  async function occupancy({ from, to }) {
+    const lessonFilter = {}
+    if (from) {
+      lessonFilter['schedule.termEnd'] = { $gte: from }
+    }
+    if (to) {
+      lessonFilter['schedule.termStart'] = { $lte: to }
+    }
+
+    const [lessonDocs, booked, bookedEver, cartHolds, offers] = await Promise.all([
+      lessons().find(lessonFilter).sort({ subject: 1 }).toArray(),
+      lessonTotals({ from, to }),
+      from || to ? lessonTotals({}) : null,
+      db.collection('carts').aggregate([
+        { $match: { status: { $in: ['active', 'converting'] } } },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.lessonId', seats: { $sum: '$items.quantity' } } }
+      ]).toArray(),
+      db.collection('waitlist').aggregate([
+        { $match: { status: { $in: ['offered', 'claimed'] } } },
+        { $group: { _id: '$lessonId', seats: { $sum: '$quantity' } } }
+      ]).toArray()
+    ])
+
+    const bookedById = new Map(booked.map(row => [row._id, row.seats]))
+    const bookedEverById = bookedEver ? new Map(bookedEver.map(row => [row._id, row.seats])) : bookedById
+    const heldById = new Map()
+    for (const row of [...cartHolds, ...offers]) {
+      heldById.set(row._id.toString(), (heldById.get(row._id.toString()) || 0) + row.seats)
+    }
+
+    const rows = lessonDocs.map(lesson => {
+      const id = lesson._id.toString()
+      const seatsBooked = bookedById.get(id) || 0
+      const held = heldById.get(id) || 0
+      const capacity = lesson.capacity !== undefined
+        ? lesson.capacity
+        : lesson.spaces + (bookedEverById.get(id) || 0) + held
+      return {
+        lessonId: id,
+        subject: lesson.subject,
+        location: lesson.location,
+        capacity,
+        booked: seatsBooked,
+        held,
+        available: lesson.spaces,
+        occupancy: percent(seatsBooked, capacity)
+      }
+    })
+
+    const capacity = rows.reduce((sum, row) => sum + row.capacity, 0)
+    const seatsBooked = rows.reduce((sum, row) => sum + row.booked, 0)
+
+    return {
+      from: from || null,
+      to: to || null,
+      lessons: rows,
+      overall: { capacity, booked: seatsBooked, occupancy: percent(seatsBooked, capacity) }
+    }
+  }
+
+  // The subjects and locations that sold the most seats
+  async function popular({ from, to, limit = 10 }) {
+    const totals = await lessonTotals({ from, to })
+    const lessonDocs = await lessons().find({}, { projection: { subject: 1, location: 1 } }).toArray()
+    const lessonsById = new Map(lessonDocs.map(lesson => [lesson._id.toString(), lesson]))
+
+    const rank = keyOf => {
+      const groups = new Map()
+      for (const row of totals) {
+        const key = keyOf(row)
+        const group = groups.get(key) || { seats: 0, revenue: 0, orderIds: new Set() }
+        group.seats += row.seats
+        group.revenue += row.revenue
+        row.orderIds.forEach(id => group.orderIds.add(id))
+        groups.set(key, group)
+      }
+      return [...groups]
+        .map(([name, group]) => ({ name, seats: group.seats, revenue: round(group.revenue), orders: group.orderIds.size }))
+        .sort((a, b) => b.seats - a.seats || b.revenue - a.revenue || a.name.localeCompare(b.name))
+        .slice(0, limit)
+    }
+
+    // Lessons deleted since they were booked still count under their subject
+    return {
+      from: from || null,
+      to: to || null,
+      subjects: rank(row => lessonsById.has(row._id) ? lessonsById.get(row._id).subject : row.subject),
+      locations: rank(row => lessonsById.has(row._id) ? lessonsById.get(row._id).location : 'Unknown')
+    }
+  }
+
+  // How many customers ordered more than once in the range. Signed in
+  // parents are counted by account, guests by phone number.
+  async function customers({ from, to }) {
+    const rows = await orders().aggregate([
+      { $match: orderMatch({ from, to }) },
+      { $group: { _id: { $ifNull: ['$userId', '$phone'] }, orders: { $sum: 1 } } }
+    ]).toArray()
+
+    const distribution = new Map()
+    for (const row of rows) {
+      distribution.set(row.orders, (distribution.get(row.orders) || 0) + 1)
+    }
+
+    const repeat = rows.filter(row => row.orders > 1).length
+
+    return {
+      from: from || null,
+      to: to || null,
+      customers: rows.length,
+      repeatCustomers: repeat,
+      repeatRate: percent(repeat, rows.length),
+      ordersPerCustomer: [...distribution]
+        .sort(([a], [b]) => a - b)
+        .map(([orderCount, customerCount]) => ({ orders: orderCount, customers: customerCount }))
+    }
+  }
+
+  return {
+    revenue,
+    occupancy,
+    popular,
+    customers
+  }
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_LIMIT,
+  parseRange,
+  createAnalytics
+}
@@ -0,0 +1,199 @@
+const { ATTENDANCE_STATUSES } = require('../models/attendance')
+const { expandSessions } = require('./schedule')
+const { lessonRoster } = require('./bookings')
+
+function today() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+// Count marks by status. attendanceRate is the percentage of marked sessions
+// the child turned up to, late or not, or null when nothing is marked yet.
+function summarise(statuses, unmarked = 0) {
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]))
+  for (const status of statuses) {
+    counts[status]++
+  }
+
+  const marked = statuses.length
+  return {
+    ...counts,
+    unmarked,
+    attendanceRate: marked > 0 ? Math.round((counts.present + counts.late) / marked * 100) : null
+  }
+}
+
+// Attendance registers for lesson sessions. Marks are stored one per child
+// per session in the attendance collection, keyed by lessonId, date and
+// childId, so marking a child again replaces their mark.
+function createAttendance({ db }) {
+  const attendance = () => db.collection('attendance')
+
+  // Whether a lesson runs on a date. Lessons without a schedule can be
+  // marked on any day. Sessions can't be marked before they happen.
+  function isSession(lesson, date) {
+    if (date > today()) {
+      return false
+    }
+    return !lesson.schedule || expandSessions(lesson.schedule, { from: date, to: date }).length === 1
+  }
+
+  // Children booked on the lesson plus anyone already marked, who may since
+  // have had their booking cancelled. Returns a Map of childId -> child.
+  async function registerChildren(lessonId, records) {
+    const { children } = await lessonRoster(db, lessonId)
+    const byId = new Map(children.map(child => [child.childId, child]))
+
+    for (const record of records) {
+      if (!byId.has(record.childId)) {
+        byId.set(record.childId, { childId: record.childId, name: record.childName })
+      }
+    }
+
+    return byId
+  }
+
+  // The register for one session: every child with their mark, or null
+  async function session(lesson, date) {
+    const records = await attendance().find({ lessonId: lesson._id, date }).toArray()
+    const children = await registerChildren(lesson._id, records)
+    const marks = new Map(records.map(record => [record.childId, record]))
+
+    return {
+      lessonId: lesson._id,
+      subject: lesson.subject,
+      date,
+      children: [...children.values()].map(child => {
+        const mark = marks.get(child.childId)
+        return {
+          childId: child.childId,
+          name: child.name,
+          medicalNotes: child.medicalNotes,
+          allergyNotes: child.allergyNotes,
+          status: mark ? mark.status : null,
+          note: mark ? mark.note : undefined,
+          markedAt: mark ? mark.markedAt : null
+        }
+      }),
+      summary: summarise(records.map(record => record.status), children.size - records.length)
+    }
+  }
+
+  // Record marks for a session. Only children booked on the lesson can be
+  // marked. Resolves to { errors } naming any that aren't, or { marked }.
+  async function mark(lesson, date, marks, actor) {
+    const { children } = await lessonRoster(db, lesson._id)
+    const booked = new Map(children.map(child => [child.childId, child]))
+    const errors = {}
+
+    marks.forEach((entry, index) => {
+      if (!booked.has(entry.childId)) {
+        errors[`marks[${index}].childId`] = 'Child is not booked on this lesson'
+      }
+    })
+
+    if (Object.keys(errors).length > 0) {
+      return { errors }
+    }
+
+    const markedAt = new Date()
+    for (const { childId, status, note } of marks) {
+      await attendance().updateOne(
+        { lessonId: lesson._id, date, childId },
+        {
+          $set: { status, note: note || '', childName: booked.get(childId).name, markedAt, markedBy: actor },
+          $setOnInsert: { createdAt: markedAt }
+        },
+        { upsert: true }
+      )
+    }
+
+    return { marked: marks.length }
+  }
+
+  // The whole register for a lesson, one row per child and one column per
+  // session up to today, limited to from..to. Children get a summary each,
+  // and so does each session.
+  async function register(lesson, { from, to } = {}) {
+    const dateFilter = {}
+    if (from) {
+      dateFilter.$gte = from
+    }
+    if (to) {
+      dateFilter.$lte = to
+    }
+
+    const records = await attendance()
+      .find({ lessonId: lesson._id, ...(from || to ? { date: dateFilter } : {}) })
+      .toArray()
+    const children = await registerChildren(lesson._id, records)
+
+    const end = to && to < today() ? to : today()
+    const dates = lesson.schedule
+      ? expandSessions(lesson.schedule, { from, to: end }).map(session => session.date)
+      : [...new Set(records.map(record => record.date))].sort()
+
+    const marks = new Map(records.map(record => [`${record.childId}:${record.date}`, record.status]))
+    const statusOf = (childId, date) => marks.get(`${childId}:${date}`) || null
+
+    return {
+      lessonId: lesson._id,
+      subject: lesson.subject,
+      sessions: dates.map(date => {
+        const statuses = [...children.keys()].map(childId => statusOf(childId, date)).filter(Boolean)
+        return { date, ...summarise(statuses, children.size - statuses.length) }
+      }),
+      children: [...children.values()].map(child => {
+        const row = Object.fromEntries(dates.map(date => [date, statusOf(child.childId, date)]))
+        const statuses = Object.values(row).filter(Boolean)
+        return {
+          childId: child.childId,
+          name: child.name,
+          marks: row,
+          summary: summarise(statuses, dates.length - statuses.length)
+        }
+      })
+    }
+  }
+
+  // A child's attendance across every lesson they have marks on
+  async function forChild(childId) {
+    const records = await attendance()
+      .find({ childId: childId.toString() })
+      .sort({ date: 1 })
+      .toArray()
+
+    const lessonIds = [...new Set(records.map(record => record.lessonId.toString()))]
+    const lessons = await db.collection('lessons')
+      .find({ _id: { $in: records.map(record => record.lessonId) } })
+      .toArray()
+    const subjects = new Map(lessons.map(lesson => [lesson._id.toString(), lesson.subject]))
+
+    const byLesson = lessonIds.map(lessonId => {
+      const lessonRecords = records.filter(record => record.lessonId.toString() === lessonId)
+      return {
+        lessonId,
+        subject: subjects.get(lessonId) || null,
+        summary: summarise(lessonRecords.map(record => record.status)),
+        sessions: lessonRecords.map(({ date, status, note }) => ({ date, status, note }))
+      }
+    })
+
+    return {
+      childId: childId.toString(),
+      summary: summarise(records.map(record => record.status)),
+      lessons: byLesson
+    }
+  }
+
+  return {
+    isSession,
+    session,
+    mark,
+    register,
+    forChild
+  }
+}
+
+module.exports = {
+  createAttendance
+}
@@ -0,0 +1,143 @@
+const { logger, currentRequestId } = require('./logger')
+
+// Who changed what, when and why. Every change to a lesson or an order adds
+// an entry to the audit_log collection holding the document before and
+// after, the fields that changed, the actor, the request id and any reason
+// the actor gave. Order entries list the lessons whose seats they took or
+// gave back, so a lesson's history can explain why its spaces moved. Seats
+// held and released by carts and waitlist offers are recorded on the lesson
+// itself, with the system as the actor.
+
+const AUDIT_ENTITIES = ['lesson', 'order']
+
+// Reasons longer than this are cut short
+const MAX_REASON_LENGTH = 500
+
+// Who made a change, as stored in an order's status history and the audit log
+function actorFrom(req) {
+  return req.user ? { id: req.user.id, role: req.user.role } : { role: 'anonymous' }
+}
+
+// What to record about the request making a change. reason defaults to the
+// Audit-Reason header, for requests whose body has no room for one.
+function auditContext(req, reason = req.get('Audit-Reason')) {
+  const context = { actor: actorFrom(req), requestId: req.id }
+  if (typeof reason === 'string' && reason.trim()) {
+    context.reason = reason.trim().slice(0, MAX_REASON_LENGTH)
+  }
+  return context
+}
+
+// What to record about a change the app makes on its own, such as a cart's
+// hold running out. The request id is kept when a request set it off.
+function systemContext(reason) {
+  const context = { actor: { role: 'system' }, reason }
+  const requestId = currentRequestId()
+  if (requestId) {
+    context.requestId = requestId
+  }
+  return context
+}
+
+// The top level fields that differ between two versions of a document, as
+// { field: { from, to } }. A missing version or field counts as null.
+function diff(before, after) {
+  const changes = {}
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  fields.delete('_id')
+
+  for (const field of fields) {
+    const from = before && before[field] !== undefined ? before[field] : null
+    const to = after && after[field] !== undefined ? after[field] : null
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to }
+    }
+  }
+
+  return changes
+}
+
+function createAudit({ db }) {
+  const log = () => db.collection('audit_log')
+
+  // Add an entry for a change that has already been made. A failure is
+  // logged rather than thrown, as the change itself can't be taken back.
+  async function record({ entity, entityId, action, before = null, after = null, lessonIds, revertedFrom }, context) {
+    const entry = {
+      entity,
+      entityId,
+      action,
+      before,
+      after,
+      changes: diff(before, after),
+      ...context,
+      at: new Date()
+    }
+    if (lessonIds && lessonIds.length > 0) {
+      entry.lessonIds = lessonIds.map(String)
+    }
+    if (revertedFrom) {
+      entry.revertedFrom = revertedFrom
+    }
+
+    try {
+      await log().insertOne(entry)
+      return entry
+    } catch (error) {
+      logger.error('Failed to write audit entry', { entity, entityId, action, error })
+      return null
+    }
+  }
+
+  // Record seats moving on a lesson. lesson is the lesson after the change
+  // and change the number of seats it gained, or lost when negative.
+  function recordSeats(lesson, change, reason) {
+    return record({
+      entity: 'lesson',
+      entityId: lesson._id,
+      action: 'seats',
+      before: { ...lesson, spaces: lesson.spaces - change },
+      after: lesson
+    }, systemContext(reason))
+  }
+
+  // Which entries to show for an entity, or one lesson or order. A lesson's
+  // history includes the orders that took or gave back its seats.
+  function filterFor(entity, entityId) {
+    if (!entityId) {
+      return entity ? { entity } : {}
+    }
+    if (entity === 'lesson') {
+      return {
+        $or: [
+          { entity: 'lesson', entityId },
+          { entity: 'order', lessonIds: entityId.toString() }
+        ]
+      }
+    }
+    return { entity, entityId }
+  }
+
+  // One page of history. Resolves to { entries, total }.
+  async function history({ entity, entityId, sort, skip, limit }) {
+    const filter = filterFor(entity, entityId)
+    const [entries, total] = await Promise.all([
+      log().find(filter).sort(sort).skip(skip).limit(limit).toArray(),
+      log().countDocuments(filter)
+    ])
+    return { entries, total }
+  }
+
+  const findEntry = id => log().findOne({ _id: id })
+
+  return { record, recordSeats, history, findEntry }
+}
+
+module.exports = {
+  AUDIT_ENTITIES,
+  actorFrom,
+  auditContext,
+  systemContext,
+  diff,
+  createAudit
+}
@@ -0,0 +1,75 @@
+const bcrypt = require('bcryptjs')
+const jwt = require('jsonwebtoken')
+const { UnauthorizedError, ForbiddenError } = require('./errors')
+
+const ROLES = ['admin', 'tutor', 'parent']
+const TOKEN_TTL = '12h'
+const SALT_ROUNDS = 10
+
+function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS)
+}
+
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash)
+}
+
+// Sign a token carrying the user's id and role
+function issueToken(user, secret) {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role },
+    secret,
+    { expiresIn: TOKEN_TTL }
+  )
+}
+
+// Middleware that reads the bearer token, if there is one, and puts its claims
+// on req.user. Requests without a token carry on anonymously; a bad token is
+// rejected.
+function authenticate(secret) {
+  return (req, res, next) => {
+    const header = req.get('Authorization') || ''
+    const [scheme, token] = header.split(' ')
+
+    if (!header) {
+      return next()
+    }
+
+    if (scheme !== 'Bearer' || !token) {
+      return next(new UnauthorizedError('Authorization header must be "Bearer <token>"', { code: 'INVALID_AUTH_HEADER' }))
+    }
+
+    try {
+      const claims = jwt.verify(token, secret)
+      req.user = { id: claims.sub, role: claims.role }
+      next()
+    } catch (error) {
+      return next(new UnauthorizedError('Token is invalid or has expired', { code: 'INVALID_TOKEN' }))
+    }
+  }
+}
+
+// Only let the request through when it is signed in with one of the given
+// roles. With no roles any signed in user is allowed.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError())
+    }
+
+    if (roles.length > 0 && !roles.includes(req.user.role)) {
+      return next(new ForbiddenError())
+    }
+
+    next()
+  }
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  issueToken,
+  authenticate,
+  requireRole
+}
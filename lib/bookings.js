@@ -0,0 +1,90 @@
+const { SEAT_HOLDING_STATUSES } = require('../models/order')
+const { ageOn } = require('../models/child')
+const { parseObjectId } = require('./ids')
+
+// Orders that still hold their seats. Legacy orders have no status and count
+// as confirmed.
+const ACTIVE_ORDERS = {
+  $or: [{ status: { $in: SEAT_HOLDING_STATUSES } }, { status: { $exists: false } }]
+}
+
+// The lessons each child is already booked on through active orders, as a
+// Map of childId -> [lessonId]
+async function bookedLessonsByChild(db, childIds) {
+  const booked = new Map(childIds.map(childId => [childId, []]))
+
+  if (childIds.length === 0) {
+    return booked
+  }
+
+  const orders = await db.collection('orders')
+    .find({ ...ACTIVE_ORDERS, 'lessons.childId': { $in: childIds } })
+    .toArray()
+
+  for (const order of orders) {
+    for (const item of order.lessons) {
+      if (booked.has(item.childId)) {
+        booked.get(item.childId).push(item.id)
+      }
+    }
+  }
+
+  return booked
+}
+
+// Everyone booked on a lesson. Seats booked for a named child are listed with
+// the child's details and notes; seats booked without one are listed per order.
+// Returns { children, unnamed }.
+async function lessonRoster(db, lessonId) {
+  const orders = await db.collection('orders')
+    .find({ ...ACTIVE_ORDERS, 'lessons.id': lessonId.toString() })
+    .sort({ createdAt: 1 })
+    .toArray()
+
+  const booked = []
+  const unnamed = []
+
+  for (const order of orders) {
+    for (const item of order.lessons) {
+      if (item.id !== lessonId.toString()) {
+        continue
+      }
+      if (item.childId) {
+        booked.push({ childId: item.childId, order })
+      } else {
+        unnamed.push({ orderId: order._id, parentName: order.name, phone: order.phone, quantity: item.quantity })
+      }
+    }
+  }
+
+  const childDocs = await db.collection('children')
+    .find({ _id: { $in: booked.map(({ childId }) => parseObjectId(childId)) } })
+    .toArray()
+  const childrenById = new Map(childDocs.map(child => [child._id.toString(), child]))
+  const today = new Date().toISOString().slice(0, 10)
+
+  const children = booked
+    .filter(({ childId }) => childrenById.has(childId))
+    .map(({ childId, order }) => {
+      const child = childrenById.get(childId)
+      return {
+        childId,
+        name: child.name,
+        dateOfBirth: child.dateOfBirth,
+        age: ageOn(child.dateOfBirth, today),
+        medicalNotes: child.medicalNotes || '',
+        allergyNotes: child.allergyNotes || '',
+        orderId: order._id,
+        parentName: order.name,
+        phone: order.phone
+      }
+    })
+
+  return { children, unnamed }
+}
+
+module.exports = {
+  ACTIVE_ORDERS,
+  bookedLessonsByChild,
+  lessonRoster
+}
@@ -0,0 +1,195 @@
+const { ObjectId } = require('mongodb')
+const { logger } = require('./logger')
+
+// Server side carts. Adding a lesson to a cart takes its seats off the lesson
+// straight away and holds them until the cart expires, is emptied, or is
+// checked out with POST /orders. Every add pushes a hold onto the cart's
+// items, so holds can be added and expired without read-modify-write races.
+
+// A cart being checked out that is still "converting" this long after it
+// expired belongs to an order that never finished
+const STALE_CONVERSION_MS = 5 * 60 * 1000
+
+// A cart made by a signed in parent only answers to them. A guest's cart
+// answers to whoever has its id.
+const ownedBy = userId => ({ userId: userId ? { $in: [userId, null] } : null })
+
+function createCarts({ db, holdMinutes, waitlist, audit }) {
+  const carts = () => db.collection('carts')
+  const lessons = () => db.collection('lessons')
+
+  const holdUntil = () => new Date(Date.now() + holdMinutes * 60000)
+
+  // The cart's holds added up per lesson, as [{ id, quantity }]
+  function lines(cart) {
+    const quantities = new Map()
+    for (const item of cart.items) {
+      quantities.set(item.lessonId, (quantities.get(item.lessonId) || 0) + item.quantity)
+    }
+    return [...quantities].map(([id, quantity]) => ({ id, quantity }))
+  }
+
+  // Give held seats back to their lessons and offer them to any waitlist.
+  // reason says why, for the lessons' audit history.
+  async function releaseItems(items, reason) {
+    const lessonIds = new Set()
+
+    for (const item of items) {
+      const lesson = await lessons().findOneAndUpdate(
+        { _id: new ObjectId(item.lessonId) },
+        { $inc: { spaces: item.quantity } },
+        { returnDocument: 'after' }
+      )
+      if (lesson) {
+        await audit.recordSeats(lesson, item.quantity, reason)
+      }
+      lessonIds.add(item.lessonId)
+    }
+
+    for (const lessonId of lessonIds) {
+      await waitlist.promote(new ObjectId(lessonId))
+    }
+  }
+
+  async function create(userId) {
+    const now = new Date()
+    const cart = { items: [], status: 'active', createdAt: now, expiresAt: holdUntil() }
+    if (userId) {
+      cart.userId = userId
+    }
+
+    await carts().insertOne(cart)
+    logger.info('Created cart', { cartId: cart._id })
+    return cart
+  }
+
+  // userId is the signed in user asking for the cart, if any, in this and
+  // every function below that takes one
+  function get(cartId, userId) {
+    return carts().findOne({ _id: cartId, ...ownedBy(userId) })
+  }
+
+  // Hold seats on a lesson for the cart and restart its hold timer.
+  // Resolves to { cart }, { cartUnavailable: true }, or
+  // { shortage: { requested, available } } when the lesson is too full.
+  async function addItem(cartId, { lessonId, quantity }, userId) {
+    const lesson = await lessons().findOneAndUpdate(
+      { _id: new ObjectId(lessonId), spaces: { $gte: quantity } },
+      { $inc: { spaces: -quantity } },
+      { returnDocument: 'after' }
+    )
+
+    if (!lesson) {
+      const current = await lessons().findOne({ _id: new ObjectId(lessonId) })
+      return { shortage: { id: lessonId, requested: quantity, available: current ? current.spaces : 0 } }
+    }
+
+    await audit.recordSeats(lesson, -quantity, `Held by cart ${cartId}`)
+
+    const cart = await carts().findOneAndUpdate(
+      { _id: cartId, ...ownedBy(userId), status: 'active', expiresAt: { $gt: new Date() } },
+      {
+        $push: { items: { lessonId, quantity, heldAt: new Date() } },
+        $set: { expiresAt: holdUntil() }
+      },
+      { returnDocument: 'after' }
+    )
+
+    if (!cart) {
+      // The cart expired or was checked out while we took the seats
+      await releaseItems([{ lessonId, quantity }], `Cart ${cartId} was no longer active`)
+      return { cartUnavailable: true }
+    }
+
+    return { cart }
+  }
+
+  // Drop every hold for a lesson from the cart and give the seats back.
+  // Resolves to the updated cart, or null if the cart isn't active.
+  async function removeItem(cartId, lessonId, userId) {
+    const before = await carts().findOneAndUpdate(
+      { _id: cartId, ...ownedBy(userId), status: 'active' },
+      { $pull: { items: { lessonId } } },
+      { returnDocument: 'before' }
+    )
+
+    if (!before) {
+      return null
+    }
+
+    const removed = before.items.filter(item => item.lessonId === lessonId)
+    await releaseItems(removed, `Removed from cart ${cartId}`)
+
+    return { ...before, items: before.items.filter(item => item.lessonId !== lessonId) }
+  }
+
+  // Give up on a cart, releasing everything it holds
+  async function abandon(cartId, userId) {
+    const cart = await carts().findOneAndUpdate(
+      { _id: cartId, ...ownedBy(userId), status: 'active' },
+      { $set: { status: 'abandoned', abandonedAt: new Date() } },
+      { returnDocument: 'after' }
+    )
+
+    if (cart) {
+      await releaseItems(cart.items, `Cart ${cartId} abandoned`)
+    }
+    return cart
+  }
+
+  // Release the holds of carts that ran out. Resolves to the number expired.
+  async function expire(now = new Date()) {
+    const stale = await carts().find({
+      $or: [
+        { status: 'active', expiresAt: { $lte: now } },
+        { status: 'converting', expiresAt: { $lte: new Date(now.getTime() - STALE_CONVERSION_MS) } }
+      ]
+    }).toArray()
+
+    let expired = 0
+
+    for (const candidate of stale) {
+      const cart = await carts().findOneAndUpdate(
+        { _id: candidate._id, status: candidate.status },
+        { $set: { status: 'expired', expiredAt: now } },
+        { returnDocument: 'after' }
+      )
+      if (!cart) {
+        continue
+      }
+
+      await releaseItems(cart.items, `Cart ${cart._id} expired`)
+      expired++
+    }
+
+    return expired
+  }
+
+  // Lock an active cart for checkout. Resolves to the cart, or null when it
+  // has expired or is already being checked out.
+  function claim(cartId, userId) {
+    return carts().findOneAndUpdate(
+      { _id: cartId, ...ownedBy(userId), status: 'active', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'converting' } },
+      { returnDocument: 'after' }
+    )
+  }
+
+  // Unlock a cart whose order could not be placed
+  async function restore(cart) {
+    await carts().updateOne({ _id: cart._id, status: 'converting' }, { $set: { status: 'active' } })
+  }
+
+  async function complete(cart, orderId) {
+    await carts().updateOne(
+      { _id: cart._id, status: 'converting' },
+      { $set: { status: 'converted', orderId, convertedAt: new Date() } }
+    )
+  }
+
+  return { lines, create, get, addItem, removeItem, abandon, expire, claim, restore, complete }
+}
+
+module.exports = {
+  createCarts
+}
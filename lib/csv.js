@@ -0,0 +1,131 @@
+const { once } = require('events')
+
+// Cells that start with one of these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+// Quote a value for a CSV cell. Text that a spreadsheet would treat as a
+// formula is prefixed with an apostrophe so an exported name can't run one.
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return ''
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// One CSV line, ending in CRLF as RFC 4180 asks
+function csvRow(values) {
+  return values.map(csvCell).join(',') + '\r\n'
+}
+
+// A whole CSV document from a header row and rows of values
+function toCsv(header, rows) {
+  return [header, ...rows].map(csvRow).join('')
+}
+
+// Write a CSV document to a stream a row at a time, waiting whenever the
+// stream's buffer is full, so large exports never sit in memory at once.
+// rows can be any iterable or async iterable, such as a database cursor.
+async function writeCsv(stream, header, rows, toRow = row => row) {
+  const write = async chunk => {
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain')
+    }
+  }
+
+  await write(csvRow(header))
+  for await (const row of rows) {
+    if (stream.destroyed) {
+      return
+    }
+    await write(csvRow(toRow(row)))
+  }
+  stream.end()
+}
+
+// Parse a CSV document with a header row into records keyed by column name.
+// Handles quoted cells, doubled quotes, CRLF or LF line ends and a leading
+// byte order mark. Blank lines are skipped. Returns { header, records, error }.
+function parseCsv(text) {
+  const lines = []
+  let cells = []
+  let cell = ''
+  let quoted = false
+  let line = 1
+  let rowStart = 1
+
+  const input = text.replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === '\n') {
+          line++
+        }
+        cell += char
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true
+    } else if (char === ',') {
+      cells.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++
+      }
+      cells.push(cell)
+      lines.push({ line: rowStart, cells })
+      cells = []
+      cell = ''
+      line++
+      rowStart = line
+    } else {
+      cell += char
+    }
+  }
+
+  if (quoted) {
+    return { header: [], records: [], error: `Line ${line} has a quote that is never closed` }
+  }
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell)
+    lines.push({ line: rowStart, cells })
+  }
+
+  const rows = lines.filter(({ cells }) => cells.some(value => value.trim() !== ''))
+  if (rows.length === 0) {
+    return { header: [], records: [], error: 'CSV has no header row' }
+  }
+
+  const header = rows[0].cells.map(name => name.trim())
+  const records = []
+
+  for (const { line, cells } of rows.slice(1)) {
+    if (cells.length > header.length) {
+      return { header, records: [], error: `Line ${line} has ${cells.length} cells but the header has ${header.length}` }
+    }
+    records.push({ line, values: Object.fromEntries(header.map((name, index) => [name, cells[index] ?? ''])) })
+  }
+
+  return { header, records, error: null }
+}
+
+module.exports = {
+  csvCell,
+  csvRow,
+  toCsv,
+  writeCsv,
+  parseCsv
+}
@@ -0,0 +1,81 @@
+const { normaliseEmail } = require('../models/user')
+const { hashPassword } = require('./auth')
+const { logger } = require('./logger')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Connect a MongoClient, retrying with exponential backoff. Throws once every
+// attempt has failed.
+async function connectWithRetry(client, { retries, delayMs }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await client.connect()
+      logger.info('Connected to MongoDB')
+      return
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error
+      }
+
+      const delay = Math.min(delayMs * 2 ** (attempt - 1), 30000)
+      logger.warn('MongoDB connection attempt failed, retrying', { attempt, delayMs: delay, reason: error.message })
+      await sleep(delay)
+    }
+  }
+}
+
+// Create the admin account named by ADMIN_EMAIL / ADMIN_PASSWORD if it
+// doesn't exist yet, since nobody can sign up as an admin through the API
+async function ensureAdminUser(db, config) {
+  if (!config.adminEmail) {
+    return
+  }
+
+  const email = normaliseEmail(config.adminEmail)
+  const usersCollection = db.collection('users')
+
+  if (await usersCollection.findOne({ email })) {
+    return
+  }
+
+  await usersCollection.insertOne({
+    email,
+    passwordHash: await hashPassword(config.adminPassword),
+    name: 'Admin',
+    role: 'admin',
+    createdAt: new Date()
+  })
+
+  logger.info('Created admin user')
+}
+
+// Indexes and seed data the app relies on. Safe to run on every startup.
+async function prepareDatabase(db, config) {
+  const collections = await db.listCollections().toArray()
+  logger.debug('Available collections', { collections: collections.map(c => c.name) })
+
+  await db.collection('users').createIndex({ email: 1 }, { unique: true })
+  await db.collection('waitlist').createIndex({ lessonId: 1, status: 1, createdAt: 1 })
+  await db.collection('waitlist').createIndex({ status: 1, offerExpiresAt: 1 })
+  await db.collection('carts').createIndex({ status: 1, expiresAt: 1 })
+  await db.collection('children').createIndex({ parentId: 1 })
+  await db.collection('orders').createIndex({ createdAt: 1 })
+  await db.collection('orders').createIndex({ 'lessons.childId': 1 })
+  await db.collection('orders').createIndex({ 'lessons.id': 1 })
+  await db.collection('attendance').createIndex({ lessonId: 1, date: 1, childId: 1 }, { unique: true })
+  await db.collection('attendance').createIndex({ childId: 1, date: 1 })
+  await db.collection('promotions').createIndex({ code: 1 }, { unique: true })
+  await db.collection('notifications').createIndex({ status: 1, nextAttemptAt: 1 })
+  await db.collection('notifications').createIndex({ orderId: 1 })
+  await db.collection('audit_log').createIndex({ entity: 1, entityId: 1, at: -1 })
+  await db.collection('audit_log').createIndex({ lessonIds: 1, at: -1 })
+  // Idempotency keys and rate limit buckets are removed once they expire
+  await db.collection('idempotency_keys').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+  await db.collection('rate_limits').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+  await ensureAdminUser(db, config)
+}
+
+module.exports = {
+  connectWithRetry,
+  prepareDatabase
+}
@@ -0,0 +1,110 @@
+const { logger } = require('./logger')
+
+// Errors a route can throw to send a client error. Each carries its HTTP
+// status, a stable code clients can switch on, a short title, and details
+// that are added to the response as they are (fields, shortages, ...).
+// Express 5 passes errors thrown by async handlers to the error middleware,
+// so routes throw these instead of building error responses themselves.
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', title = 'Internal error', details = {} } = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+    this.code = code
+    this.title = title
+    this.details = details
+  }
+}
+
+// fields maps each bad field, or field path, to what is wrong with it
+class ValidationError extends AppError {
+  constructor(message, fields, { title = 'Invalid request', code = 'VALIDATION_FAILED', details = {} } = {}) {
+    super(message, { status: 400, code, title, details: fields ? { fields, ...details } : details })
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'You must be signed in to do that', { code = 'UNAUTHORIZED' } = {}) {
+    super(message, { status: 401, code, title: 'Unauthorized' })
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to do that') {
+    super(message, { status: 403, code: 'FORBIDDEN', title: 'Forbidden' })
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { title = 'Not found', code = 'NOT_FOUND' } = {}) {
+    super(message, { status: 404, code, title })
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, { title = 'Conflict', code = 'CONFLICT', details = {} } = {}) {
+    super(message, { status: 409, code, title, details })
+  }
+}
+
+// Errors raised by Express's body parsers, turned into client errors
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': { status: 400, code: 'INVALID_JSON', title: 'Invalid JSON', message: 'Request body is not valid JSON' },
+  'entity.too.large': { status: 413, code: 'PAYLOAD_TOO_LARGE', title: 'Request too large', message: 'Request body is too large' },
+  'encoding.unsupported': { status: 415, code: 'UNSUPPORTED_ENCODING', title: 'Unsupported encoding', message: 'Request body encoding is not supported' }
+}
+
+// The one error middleware. Every error response has the same envelope:
+// { ...details, error, code, message, requestId }, where details can't
+// overwrite the envelope's own fields. Anything that isn't an AppError is
+// logged and reported as a 500 without its message, which can hold database
+// internals.
+function errorHandler() {
+  // Express only treats middleware with four arguments as error handling
+  return (err, req, res, next) => {
+    let error = err
+
+    if (!(error instanceof AppError)) {
+      const parserError = BODY_PARSER_ERRORS[err.type]
+      if (parserError) {
+        error = new AppError(parserError.message, parserError)
+      } else if (err.status === 404 && err.expose) {
+        error = new NotFoundError('The requested file does not exist')
+      } else {
+        logger.error('Unhandled error', { error: err, method: req.method, path: req.originalUrl.split('?')[0] })
+        error = new AppError('Something went wrong on our side. Please try again')
+      }
+    }
+
+    if (res.headersSent) {
+      return res.destroy(err)
+    }
+
+    res.status(error.status).json({
+      ...error.details,
+      error: error.title,
+      code: error.code,
+      message: error.message,
+      requestId: req.id
+    })
+  }
+}
+
+// Catch-all for requests no route handled. Express 5 paths can't be '*',
+// so this is a plain middleware mounted after every route.
+function notFoundHandler() {
+  return (req, res, next) => {
+    next(new NotFoundError(`No route for ${req.method} ${req.path}`, { title: 'Route not found', code: 'ROUTE_NOT_FOUND' }))
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  errorHandler,
+  notFoundHandler
+}
@@ -0,0 +1,164 @@
+const crypto = require('crypto')
+const { AppError, ValidationError, ConflictError } = require('./errors')
+const { logger } = require('./logger')
+
+// Idempotency-Key support for endpoints that must not run twice, such as
+// checkout. The first request with a key stores a fingerprint of itself and,
+// once answered, its response. Retries with the same key get that response
+// back instead of running again. Keys live in idempotency_keys until their
+// expiresAt, when a TTL index removes them.
+
+// Keys are opaque to us; clients usually send a UUID
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/
+
+// A key still "processing" this long after it was claimed belongs to a
+// request that died before answering, so a retry may take it over
+const STALE_LOCK_MS = 60 * 1000
+
+// JSON with object keys sorted, so the same body always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+    return `{${entries.join(',')}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+function requestHash(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body)}`)
+    .digest('hex')
+}
+
+function createIdempotency({ db, ttlHours }) {
+  const keys = () => db.collection('idempotency_keys')
+
+  // Claim a key for a request. Resolves to { claimed: true }, or to
+  // { replay: response } when an earlier request with the key has finished.
+  async function claim(id, hash, attempts = 2) {
+    const now = new Date()
+
+    try {
+      await keys().insertOne({
+        _id: id,
+        requestHash: hash,
+        status: 'processing',
+        lockedAt: now,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlHours * 3600000)
+      })
+      return { claimed: true }
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error
+      }
+    }
+
+    const existing = await keys().findOne({ _id: id })
+
+    // Expired keys can linger until the TTL monitor runs; treat them as gone
+    if ((!existing || existing.expiresAt <= now) && attempts > 1) {
+      if (existing) {
+        await keys().deleteOne({ _id: id, expiresAt: existing.expiresAt })
+      }
+      return claim(id, hash, attempts - 1)
+    }
+
+    if (existing && existing.requestHash !== hash) {
+      throw new AppError('This Idempotency-Key was already used for a different request', {
+        status: 422,
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        title: 'Idempotency key reused'
+      })
+    }
+
+    if (existing && existing.status === 'completed') {
+      return { replay: existing.response }
+    }
+
+    const taken = existing && await keys().findOneAndUpdate(
+      { _id: id, status: 'processing', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+      { $set: { lockedAt: now } }
+    )
+
+    if (!taken) {
+      throw new ConflictError('A request with this Idempotency-Key is still being processed. Retry shortly', {
+        title: 'Request in progress',
+        code: 'IDEMPOTENCY_KEY_IN_USE'
+      })
+    }
+
+    return { claimed: true }
+  }
+
+  // Remember the response for replays. Server errors and conflicts, such as
+  // seats running out, aren't kept so that retrying them runs the request
+  // again once things have changed.
+  async function complete(id, status, body) {
+    if (status >= 500 || status === 409) {
+      await keys().deleteOne({ _id: id })
+      return
+    }
+
+    await keys().updateOne(
+      { _id: id },
+      { $set: { status: 'completed', response: { status, body }, completedAt: new Date() } }
+    )
+  }
+
+  // Middleware for a route that honours Idempotency-Key. Requests without
+  // the header run as normal. Keys are per user, so two accounts can't
+  // collide or see each other's responses.
+  function guard() {
+    return async (req, res, next) => {
+      const key = req.get('Idempotency-Key')
+
+      if (key === undefined) {
+        return next()
+      }
+
+      if (!KEY_PATTERN.test(key)) {
+        throw new ValidationError('Idempotency-Key must be 1 to 255 printable characters', null, {
+          title: 'Invalid idempotency key',
+          code: 'INVALID_IDEMPOTENCY_KEY'
+        })
+      }
+
+      const id = `${req.user ? req.user.id : 'anonymous'}:${key}`
+      const result = await claim(id, requestHash(req))
+
+      if (result.replay) {
+        logger.info('Replaying idempotent response', { status: result.replay.status })
+        return res.status(result.replay.status)
+          .set('Idempotent-Replayed', 'true')
+          .type('json')
+          .send(result.replay.body)
+      }
+
+      // Store the response before it goes out, so a retry that arrives the
+      // moment the client hears back finds it
+      const sendJson = res.json.bind(res)
+      res.json = body => {
+        res.json = sendJson
+        complete(id, res.statusCode, JSON.stringify(body))
+          .catch(error => logger.error('Failed to store idempotent response', { error }))
+          .finally(() => sendJson(body))
+        return res
+      }
+
+      next()
+    }
+  }
+
+  return { guard }
+}
+
+module.exports = {
+  canonicalJson,
+  createIdempotency
+}
@@ -0,0 +1,16 @@
+const { ObjectId } = require('mongodb')
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/
+
+// Turn a route parameter into an ObjectId, or null when it is not a valid
+// 24 character hex id. ObjectId.isValid alone also accepts any 12 byte string.
+function parseObjectId(id) {
+  if (typeof id !== 'string' || !OBJECT_ID_PATTERN.test(id)) {
+    return null
+  }
+  return new ObjectId(id)
+}
+
+module.exports = {
+  parseObjectId
+}
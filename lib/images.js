@@ -0,0 +1,122 @@
+const crypto = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+const { Jimp } = require('jimp')
+
+// Sizes each upload is turned into. thumb is cropped to fill its box, web is
+// shrunk to fit inside it and never enlarged.
+const VARIANTS = {
+  thumb: { width: 300, height: 300, crop: true, quality: 75 },
+  web: { width: 1200, height: 1200, crop: false, quality: 82 }
+}
+
+// Decoding happens in memory at 4 bytes a pixel, so refuse anything bigger
+// than this before decoding it
+const MAX_PIXELS = 25 * 1000 * 1000
+
+// Names the store gives its files: a content hash and the variant. Files with
+// these names never change, so they can be cached for good.
+const GENERATED_NAME = /^[0-9a-f]{16}-(thumb|web)\.jpg$/
+
+// Read the type and dimensions of a PNG or JPEG from its header without
+// decoding it. Returns { type, width, height } or null for anything else.
+function sniffImage(buffer) {
+  if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { type: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+  }
+
+  if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the JPEG segments to the start-of-frame marker that holds the size
+    let offset = 2
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null
+      }
+      const marker = buffer[offset + 1]
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { type: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) }
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2)
+    }
+  }
+
+  return null
+}
+
+class ImageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ImageError'
+  }
+}
+
+// Lesson images on disk. Uploads are checked, resized into VARIANTS and
+// saved under content-hashed names in dir.
+function createImageStore({ dir }) {
+  // Turn an upload into its variants. Resolves to { thumb, web, width,
+  // height } with the saved file names, or rejects with an ImageError when
+  // the upload isn't an image we accept.
+  async function save(buffer) {
+    const info = sniffImage(buffer)
+    if (!info) {
+      throw new ImageError('Image must be a PNG or JPEG file')
+    }
+    if (info.width === 0 || info.height === 0 || info.width * info.height > MAX_PIXELS) {
+      throw new ImageError(`Image must be at most ${MAX_PIXELS / 1000000} megapixels`)
+    }
+
+    let image
+    try {
+      image = await Jimp.fromBuffer(buffer)
+    } catch (error) {
+      throw new ImageError('Image file is damaged and could not be read')
+    }
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16)
+    const saved = { width: image.width, height: image.height }
+
+    await fs.mkdir(dir, { recursive: true })
+
+    for (const [variant, size] of Object.entries(VARIANTS)) {
+      const resized = image.clone()
+      if (size.crop) {
+        resized.cover({ w: size.width, h: size.height })
+      } else if (resized.width > size.width || resized.height > size.height) {
+        resized.scaleToFit({ w: size.width, h: size.height })
+      }
+
+      const name = `${hash}-${variant}.jpg`
+      await fs.writeFile(path.join(dir, name), await resized.getBuffer('image/jpeg', { quality: size.quality }))
+      saved[variant] = name
+    }
+
+    return saved
+  }
+
+  // Delete the variants of an earlier upload. Names that aren't ours, such
+  // as images copied in by hand, are left alone.
+  async function remove(images) {
+    for (const variant of Object.keys(VARIANTS)) {
+      const name = images && images[variant]
+      if (!name || !GENERATED_NAME.test(name)) {
+        continue
+      }
+      try {
+        await fs.unlink(path.join(dir, name))
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error
+        }
+      }
+    }
+  }
+
+  return { save, remove }
+}
+
+module.exports = {
+  GENERATED_NAME,
+  ImageError,
+  sniffImage,
+  createImageStore
+}
@@ -0,0 +1,169 @@
+const { validateLesson, capacityChange } = require('../models/lesson')
+const { parseObjectId } = require('./ids')
+
+// Columns of the lesson CSV, shared by import and export so an export can be
+// edited and imported straight back. The schedule is spread over its own
+// columns, with excludedDates separated by semicolons.
+const LESSON_COLUMNS = [
+  'id', 'subject', 'location', 'price', 'spaces', 'image', 'description', 'minAge', 'maxAge',
+  'weekday', 'startTime', 'endTime', 'termStart', 'termEnd', 'excludedDates'
+]
+const NUMBER_COLUMNS = ['price', 'spaces', 'minAge', 'maxAge']
+const SCHEDULE_COLUMNS = ['weekday', 'startTime', 'endTime', 'termStart', 'termEnd', 'excludedDates']
+
+const MAX_IMPORT_ROWS = 1000
+
+// Turn a CSV record into { id, body } where body is shaped like a lesson
+// payload. Blank cells are left out, so on an update they keep their current
+// value. Numbers that don't parse are passed on as text for validation to
+// reject.
+function lessonFromCsv(values) {
+  const body = {}
+
+  for (const [column, raw] of Object.entries(values)) {
+    const text = raw.trim()
+    if (column === 'id' || SCHEDULE_COLUMNS.includes(column) || text === '') {
+      continue
+    }
+    body[column] = NUMBER_COLUMNS.includes(column) && Number.isFinite(Number(text)) ? Number(text) : text
+  }
+
+  if (SCHEDULE_COLUMNS.some(column => values[column] && values[column].trim())) {
+    const schedule = {}
+    for (const column of SCHEDULE_COLUMNS.filter(column => column !== 'excludedDates')) {
+      schedule[column] = (values[column] || '').trim()
+    }
+    schedule.excludedDates = (values.excludedDates || '').split(';').map(date => date.trim()).filter(Boolean)
+    body.schedule = schedule
+  }
+
+  return { id: (values.id || '').trim(), body }
+}
+
+// Split a JSON import row into { id, body }. Rows may carry their id as id
+// or _id.
+function lessonFromJson(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { id: '', body: row }
+  }
+  const { id, _id, ...body } = row
+  const rowId = id !== undefined ? id : _id
+  return { id: rowId === undefined ? '' : String(rowId), body }
+}
+
+// A lesson as a CSV row in LESSON_COLUMNS order
+function lessonToCsv(lesson) {
+  const schedule = lesson.schedule || {}
+  return [
+    lesson._id.toString(), lesson.subject, lesson.location, lesson.price, lesson.spaces, lesson.image,
+    lesson.description, lesson.minAge, lesson.maxAge,
+    schedule.weekday, schedule.startTime, schedule.endTime, schedule.termStart, schedule.termEnd,
+    (schedule.excludedDates || []).join(';')
+  ]
+}
+
+// Work out what an import would do without writing anything. Rows with an id
+// update that lesson with the fields they carry; rows without one create a new
+// lesson and must be complete. Every row is validated, and each row of the
+// report says what will happen to it or what is wrong with it:
+// { row, line?, action: 'insert' | 'update' | 'unchanged' | 'error', id?, subject?, changes?, errors? }
+async function planImport(db, rows) {
+  const ids = rows.map(row => parseObjectId(row.id)).filter(Boolean)
+  const existing = await db.collection('lessons').find({ _id: { $in: ids } }).toArray()
+  const existingById = new Map(existing.map(lesson => [lesson._id.toString(), lesson]))
+  const seenIds = new Set()
+
+  return rows.map(({ id, body, line }, index) => {
+    const report = { row: index + 1, ...(line && { line }) }
+
+    if (id) {
+      const lesson = existingById.get(id)
+      const errors = {}
+
+      if (!parseObjectId(id)) {
+        errors.id = 'must be a valid ObjectId'
+      } else if (!lesson) {
+        errors.id = `No lesson found with ID: ${id}`
+      } else if (seenIds.has(id)) {
+        errors.id = 'This lesson is already updated by an earlier row'
+      }
+      seenIds.add(id)
+
+      const { value, errors: fieldErrors } = validateLesson(body, { partial: true })
+      Object.assign(errors, fieldErrors)
+
+      if (Object.keys(errors).length > 0) {
+        return { ...report, action: 'error', id, errors }
+      }
+
+      const changes = {}
+      for (const [field, to] of Object.entries(value)) {
+        if (JSON.stringify(lesson[field]) !== JSON.stringify(to)) {
+          changes[field] = { from: lesson[field] === undefined ? null : lesson[field], to }
+        }
+      }
+
+      return {
+        ...report,
+        action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+        id,
+        subject: lesson.subject,
+        changes
+      }
+    }
+
+    const { value, errors } = validateLesson(body)
+
+    if (Object.keys(errors).length > 0) {
+      return { ...report, action: 'error', errors }
+    }
+
+    return { ...report, action: 'insert', subject: value.subject, lesson: value }
+  })
+}
+
+// Carry out a plan from planImport that has no errors. Each insert row gets
+// the id of its new lesson, and every change is added to audit when given.
+// Resolves to { spacesChanged } listing the lessons whose spaces were updated.
+async function applyImport(db, plan, { audit, context } = {}) {
+  const lessonsCollection = db.collection('lessons')
+  const now = new Date()
+
+  const inserts = plan.filter(row => row.action === 'insert')
+  if (inserts.length > 0) {
+    const docs = inserts.map(row => ({ ...row.lesson, capacity: row.lesson.spaces, createdAt: now }))
+    await lessonsCollection.insertMany(docs)
+    for (const [index, row] of inserts.entries()) {
+      row.id = docs[index]._id.toString()
+      if (audit) {
+        await audit.record({ entity: 'lesson', entityId: docs[index]._id, action: 'create', after: docs[index] }, context)
+      }
+    }
+  }
+
+  const spacesChanged = []
+  for (const row of plan.filter(row => row.action === 'update')) {
+    const changes = Object.fromEntries(Object.entries(row.changes).map(([field, change]) => [field, change.to]))
+    const current = changes.spaces !== undefined && await lessonsCollection.findOne({ _id: parseObjectId(row.id) })
+    const update = current ? { ...changes, ...capacityChange(current, changes) } : changes
+    const before = await lessonsCollection.findOneAndUpdate({ _id: parseObjectId(row.id) }, { $set: update }, { returnDocument: 'before' })
+    if (audit && before) {
+      await audit.record({ entity: 'lesson', entityId: before._id, action: 'update', before, after: { ...before, ...update } }, context)
+    }
+    if (changes.spaces !== undefined) {
+      spacesChanged.push(row.id)
+    }
+  }
+
+  return { spacesChanged }
+}
+
+module.exports = {
+  LESSON_COLUMNS,
+  MAX_IMPORT_ROWS,
+  lessonFromCsv,
+  lessonFromJson,
+  lessonToCsv,
+  planImport,
+  applyImport
+}
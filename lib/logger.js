@@ -0,0 +1,150 @@
+const crypto = require('crypto')
+const { AsyncLocalStorage } = require('async_hooks')
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+
+// Fields that hold personal or secret data. Their values never reach the
+// logs, wherever they appear in a logged object.
+const REDACTED_FIELDS = new Set([
+  'name', 'parentname', 'childname', 'phone', 'email', 'dateofbirth',
+  'medicalnotes', 'allergynotes', 'note',
+  'password', 'passwordhash', 'adminpassword', 'token', 'authorization', 'jwtsecret', 'mongourl',
+  'smtpurl', 'twilioauthtoken'
+])
+const REDACTED = '[REDACTED]'
+const MAX_DEPTH = 6
+
+// Request ids sent by a client or proxy are reused when they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/
+
+// Holds the current request's id so every line logged while handling it,
+// however deep in the code, carries the same requestId
+const requestContext = new AsyncLocalStorage()
+
+// The id of the request being handled, if any
+function currentRequestId() {
+  const context = requestContext.getStore()
+  return context && context.requestId
+}
+
+// MongoDB duplicate key errors quote the clashing value, often an email
+// address, in their message and stack
+const DUP_KEY_PATTERN = /dup key: \{.*\}/g
+
+function scrub(text) {
+  return typeof text === 'string' ? text.replace(DUP_KEY_PATTERN, `dup key: { ${REDACTED} }`) : text
+}
+
+// Copy a value into something JSON can hold, masking sensitive fields
+function redact(value, depth = 0) {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: scrub(value.message), code: value.code, stack: scrub(value.stack) }
+  }
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  if (value._bsontype === 'ObjectId') {
+    return value.toString()
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]'
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1))
+  }
+
+  const copy = {}
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = REDACTED_FIELDS.has(key.toLowerCase()) ? REDACTED : redact(field, depth + 1)
+  }
+  return copy
+}
+
+// A JSON lines logger. Each line has time, level, msg, the request's id when
+// there is one, and the given fields with sensitive values masked.
+function createLogger({ level = 'info', write = line => process.stdout.write(line), fields = {} } = {}) {
+  const state = { threshold: LEVELS[level], write }
+
+  function log(lineLevel, msg, lineFields = {}) {
+    if (LEVELS[lineLevel] < state.threshold) {
+      return
+    }
+
+    const context = requestContext.getStore()
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...(context && { requestId: context.requestId }),
+      ...redact({ ...fields, ...lineFields })
+    }
+
+    state.write(JSON.stringify(entry) + '\n')
+  }
+
+  function build(boundFields) {
+    return {
+      debug: (msg, lineFields) => log('debug', msg, { ...boundFields, ...lineFields }),
+      info: (msg, lineFields) => log('info', msg, { ...boundFields, ...lineFields }),
+      warn: (msg, lineFields) => log('warn', msg, { ...boundFields, ...lineFields }),
+      error: (msg, lineFields) => log('error', msg, { ...boundFields, ...lineFields }),
+      // A logger that adds these fields to every line
+      child: childFields => build({ ...boundFields, ...childFields }),
+      setLevel: name => {
+        if (LEVELS[name] === undefined) {
+          throw new Error(`Unknown log level "${name}"`)
+        }
+        state.threshold = LEVELS[name]
+      },
+      setWriter: writer => {
+        state.write = writer
+      }
+    }
+  }
+
+  return build({})
+}
+
+// The app's logger. The server sets its level from config at startup.
+const logger = createLogger({ level: process.env.LOG_LEVEL in LEVELS ? process.env.LOG_LEVEL : 'info' })
+
+// Middleware that gives each request an id, echoed in X-Request-Id and
+// attached to every line logged while handling it, then logs one line when
+// the response is sent with its status and how long it took. Only the path
+// is logged; query strings and bodies can hold personal data.
+function requestLogger(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id')
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+    const started = process.hrtime.bigint()
+
+    req.id = requestId
+    res.set('X-Request-Id', requestId)
+
+    res.on('finish', () => {
+      const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info'
+      requestContext.run({ requestId }, () => log[level]('request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs,
+        userId: req.user ? req.user.id : undefined
+      }))
+    })
+
+    requestContext.run({ requestId }, next)
+  }
+}
+
+module.exports = {
+  LEVELS,
+  redact,
+  currentRequestId,
+  createLogger,
+  logger,
+  requestLogger
+}
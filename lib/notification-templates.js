@@ -0,0 +1,87 @@
+// The messages we send parents. Each template takes the details it needs and
+// returns the email ({ subject, text }) and the shorter SMS ({ text }).
+
+const money = amount => `£${amount.toFixed(2)}`
+
+const londonTime = date => new Date(date).toLocaleString('en-GB', {
+  timeZone: 'Europe/London',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+})
+
+const TEMPLATES = {
+  // order: the stored order, with lessons, discounts and total
+  orderConfirmed: ({ order }) => {
+    const lines = order.lessons.map(item => {
+      const who = item.childName ? ` for ${item.childName}` : ''
+      return `- ${item.subject}${who} x${item.quantity}: ${money(item.lineTotal)}`
+    })
+    const discounts = (order.discounts || []).map(discount => `- ${discount.description}: -${money(discount.amount)}`)
+
+    return {
+      email: {
+        subject: `Booking confirmed: order ${order.orderId}`,
+        text: [
+          `Hi ${order.name},`,
+          '',
+          'Thank you for your booking. Here is what you ordered:',
+          '',
+          ...lines,
+          ...(discounts.length > 0 ? ['', 'Discounts:', ...discounts] : []),
+          '',
+          `Total: ${money(order.total)}`,
+          '',
+          `Your order number is ${order.orderId}.`
+        ].join('\n')
+      },
+      sms: {
+        text: `Booking confirmed: ${order.lessons.length} lesson${order.lessons.length === 1 ? '' : 's'}, total ${money(order.total)}. Order ${order.orderId}`
+      }
+    }
+  },
+
+  // order: the cancelled order, whose last status change may give a reason
+  orderCancelled: ({ order }) => {
+    const change = (order.statusHistory || []).at(-1)
+    const reason = change && change.reason
+    return {
+      email: {
+        subject: `Booking cancelled: order ${order.orderId}`,
+        text: [
+          `Hi ${order.name},`,
+          '',
+          `Your order ${order.orderId} for ${order.lessons.map(item => item.subject).join(', ')} has been cancelled.`,
+          ...(reason ? ['', `Reason: ${reason}`] : []),
+          '',
+          'If you have paid, any refund will follow separately.'
+        ].join('\n')
+      },
+      sms: {
+        text: `Your order ${order.orderId} has been cancelled.${reason ? ` Reason: ${reason}` : ''}`
+      }
+    }
+  },
+
+  // entry: the waitlist entry that was offered seats; lesson: its lesson
+  waitlistOffered: ({ entry, lesson }) => {
+    const seats = `${entry.quantity} seat${entry.quantity === 1 ? '' : 's'}`
+    return {
+      email: {
+        subject: `A place has opened up on ${lesson.subject}`,
+        text: [
+          `Hi ${entry.name},`,
+          '',
+          `Good news: ${seats} on ${lesson.subject} at ${lesson.location} ${entry.quantity === 1 ? 'is' : 'are'} now held for you.`,
+          `Book before ${londonTime(entry.offerExpiresAt)} to keep ${entry.quantity === 1 ? 'it' : 'them'}, quoting waitlist entry ${entry._id}.`
+        ].join('\n')
+      },
+      sms: {
+        text: `${seats} on ${lesson.subject} held for you until ${londonTime(entry.offerExpiresAt)}. Book with waitlist entry ${entry._id}`
+      }
+    }
+  }
+}
+
+module.exports = {
+  TEMPLATES
+}
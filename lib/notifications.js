@@ -0,0 +1,185 @@
+const { parseObjectId } = require('./ids')
+const { TEMPLATES } = require('./notification-templates')
+const { logger } = require('./logger')
+
+// Messages to parents go through an outbox. Each one is rendered and stored
+// in the notifications collection, one per channel, then handed to that
+// channel's transport in the background. A failed send is retried with
+// growing gaps until maxAttempts, by deliverDue() on the sweeper. Callers
+// never see a notification error, so sending can't fail an order.
+
+// Retry n waits RETRY_BASE_MS * 2^(n-1): 1, 2, 4, 8... minutes
+const RETRY_BASE_MS = 60 * 1000
+
+// A message still "sending" this long after it was claimed belongs to a
+// process that stopped mid-send, so it is tried again
+const SENDING_LOCK_MS = 5 * 60 * 1000
+
+// How many due messages one deliverDue() run sends at most
+const BATCH_SIZE = 100
+
+// transports: { email, sms }, either of which can be null to not send on it
+function createNotifications({ db, transports, maxAttempts = 5 }) {
+  const outbox = () => db.collection('notifications')
+
+  const isDue = now => ({
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedUntil: { $lte: now } }
+    ]
+  })
+
+  // Where to reach someone: their phone by SMS, and by email when they have
+  // an account
+  async function addresses({ phone, userId }) {
+    const to = {}
+    if (phone) {
+      to.sms = phone
+    }
+
+    const id = userId && parseObjectId(userId)
+    const user = id && await db.collection('users').findOne({ _id: id })
+    if (user && user.email) {
+      to.email = user.email
+    }
+
+    return to
+  }
+
+  // Claim a due message and hand it to its transport. Resolves to true when
+  // it was sent.
+  async function deliver(id, now = new Date()) {
+    const message = await outbox().findOneAndUpdate(
+      { _id: id, ...isDue(now) },
+      { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SENDING_LOCK_MS) }, $inc: { attempts: 1 } },
+      { returnDocument: 'after' }
+    )
+    if (!message) {
+      return false
+    }
+
+    const fields = { notificationId: id, template: message.template, channel: message.channel, attempts: message.attempts }
+
+    try {
+      const transport = transports[message.channel]
+      if (!transport) {
+        throw new Error(`No ${message.channel} transport is configured`)
+      }
+      await transport.send({ to: message.to, subject: message.subject, text: message.text })
+    } catch (error) {
+      const failed = message.attempts >= maxAttempts
+      await outbox().updateOne({ _id: id }, {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          lastError: String(error.message).slice(0, 500),
+          nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (message.attempts - 1))
+        },
+        $unset: { lockedUntil: '' }
+      })
+      logger[failed ? 'error' : 'warn'](failed ? 'Notification failed, giving up' : 'Notification failed, will retry', { ...fields, error })
+      return false
+    }
+
+    await outbox().updateOne({ _id: id }, {
+      $set: { status: 'sent', sentAt: new Date() },
+      $unset: { lockedUntil: '', nextAttemptAt: '' }
+    })
+    logger.info('Sent notification', fields)
+    return true
+  }
+
+  // Send every message that is due, first come first served. Resolves to
+  // the number sent.
+  async function deliverDue(now = new Date()) {
+    const due = await outbox().find(isDue(now)).sort({ createdAt: 1 }).limit(BATCH_SIZE).toArray()
+    let sent = 0
+    for (const message of due) {
+      if (await deliver(message._id, now)) {
+        sent++
+      }
+    }
+    return sent
+  }
+
+  // Render a template, store a message for each channel we can reach the
+  // person on, and start sending them without waiting. ref links the
+  // messages to what they are about, e.g. { orderId }.
+  async function enqueue(template, data, contact, ref) {
+    const rendered = TEMPLATES[template](data)
+    const to = await addresses(contact)
+    const now = new Date()
+
+    const messages = Object.entries(to)
+      .filter(([channel]) => transports[channel])
+      .map(([channel, address]) => ({
+        template,
+        channel,
+        to: address,
+        ...rendered[channel],
+        ...ref,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now
+      }))
+
+    if (messages.length === 0) {
+      return []
+    }
+
+    await outbox().insertMany(messages)
+
+    for (const message of messages) {
+      setImmediate(() => deliver(message._id).catch(error => {
+        logger.error('Notification delivery crashed', { notificationId: message._id, error })
+      }))
+    }
+
+    return messages
+  }
+
+  // Queue a message, logging rather than throwing if that goes wrong
+  async function notify(template, data, contact, ref) {
+    try {
+      return await enqueue(template, data, contact, ref)
+    } catch (error) {
+      logger.error('Failed to queue notification', { template, error })
+      return []
+    }
+  }
+
+  const orderConfirmed = order => notify(
+    'orderConfirmed',
+    { order },
+    { phone: order.phone, userId: order.userId },
+    { orderId: order._id }
+  )
+
+  const orderCancelled = order => notify(
+    'orderCancelled',
+    { order },
+    { phone: order.phone, userId: order.userId },
+    { orderId: order._id }
+  )
+
+  async function waitlistOffered(entry) {
+    try {
+      const lesson = await db.collection('lessons').findOne({ _id: entry.lessonId })
+      return await notify(
+        'waitlistOffered',
+        { entry, lesson },
+        { phone: entry.phone, userId: entry.userId },
+        { waitlistEntryId: entry._id }
+      )
+    } catch (error) {
+      logger.error('Failed to queue notification', { template: 'waitlistOffered', error })
+      return []
+    }
+  }
+
+  return { orderConfirmed, orderCancelled, waitlistOffered, deliver, deliverDue }
+}
+
+module.exports = {
+  createNotifications
+}
@@ -0,0 +1,64 @@
+const { SEAT_HOLDING_STATUSES, orderStatus, statusesAllowedBefore } = require('../models/order')
+const { releaseLessonSpaces } = require('./reservations')
+const { logger } = require('./logger')
+
+// Move an order to a new status and record the change in its history.
+// The status is switched with a single conditional update, so two requests
+// racing to cancel the same order can't both release its seats. When the
+// order stops holding seats they are put back on each lesson.
+// Resolves to { order, previous, releasedLessonIds } with the updated order,
+// the order as it was and the lessons that got seats back,
+// { notFound: true }, or { conflict: currentStatus } when the transition
+// isn't allowed.
+async function transitionOrder(db, orderId, status, { actor, reason, filter = {} }) {
+  const ordersCollection = db.collection('orders')
+  const allowedFrom = statusesAllowedBefore(status)
+
+  const current = await ordersCollection.findOne({ ...filter, _id: orderId })
+  if (!current) {
+    return { notFound: true }
+  }
+
+  const entry = { status, at: new Date(), actor }
+  if (reason) {
+    entry.reason = reason
+  }
+
+  // Legacy orders have no status field and count as confirmed
+  const statusMatch = allowedFrom.includes('confirmed')
+    ? { $or: [{ status: { $in: allowedFrom } }, { status: { $exists: false } }] }
+    : { status: { $in: allowedFrom } }
+
+  const before = await ordersCollection.findOneAndUpdate(
+    { ...filter, _id: orderId, ...statusMatch },
+    { $set: { status, updatedAt: entry.at }, $push: { statusHistory: entry } },
+    { returnDocument: 'before' }
+  )
+
+  if (!before) {
+    const latest = await ordersCollection.findOne({ _id: orderId })
+    return { conflict: orderStatus(latest || current) }
+  }
+
+  const releasesSeats = SEAT_HOLDING_STATUSES.includes(orderStatus(before)) &&
+    !SEAT_HOLDING_STATUSES.includes(status)
+
+  const released = releasesSeats
+    ? before.lessons.map(lesson => ({ id: lesson.id, quantity: lesson.quantity }))
+    : []
+
+  if (releasesSeats) {
+    await releaseLessonSpaces(db, released)
+    logger.info('Released order seats', { orderId })
+  }
+
+  return {
+    order: { ...before, status, updatedAt: entry.at, statusHistory: [...(before.statusHistory || []), entry] },
+    previous: before,
+    releasedLessonIds: [...new Set(released.map(lesson => lesson.id))]
+  }
+}
+
+module.exports = {
+  transitionOrder
+}
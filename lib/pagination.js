@@ -0,0 +1,70 @@
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+
+// Read page, limit and sort from a list request's query string.
+// sort is a comma separated list of fields, each optionally prefixed with "-"
+// for descending order, e.g. ?sort=-price,subject
+// Returns { page, limit, skip, sort, errors }.
+function parseListQuery(query, { sortFields, defaultSort }) {
+  const errors = {}
+
+  const page = query.page === undefined ? 1 : Number(query.page)
+  if (!Number.isInteger(page) || page < 1) {
+    errors.page = 'must be a whole number of at least 1'
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.limit = `must be a whole number from 1 to ${MAX_LIMIT}`
+  }
+
+  const sort = {}
+  const sortParam = typeof query.sort === 'string' && query.sort.trim() ? query.sort : defaultSort
+
+  for (const part of sortParam.split(',')) {
+    const field = part.trim().replace(/^[-+]/, '')
+    if (!sortFields.includes(field)) {
+      errors.sort = `can only sort by ${sortFields.join(', ')}`
+      continue
+    }
+    sort[field] = part.trim().startsWith('-') ? -1 : 1
+  }
+
+  // Break ties on _id so pages don't overlap or skip documents
+  if (!sort._id) {
+    sort._id = 1
+  }
+
+  return { page, limit, skip: (page - 1) * limit, sort, errors }
+}
+
+function pageUrl(req, page) {
+  const params = new URLSearchParams(req.query)
+  params.set('page', page)
+  const path = `${req.baseUrl}${req.path}`.replace(/(.)\/$/, '$1')
+  return `${req.protocol}://${req.get('host')}${path}?${params}`
+}
+
+// Describe the page on the response headers: X-Total-Count with the number of
+// matching documents and a Link header with first/prev/next/last page URLs.
+// The body stays a plain array so existing clients keep working.
+function setPaginationHeaders(req, res, { page, limit, total }) {
+  const lastPage = Math.max(1, Math.ceil(total / limit))
+  const links = [`<${pageUrl(req, 1)}>; rel="first"`]
+
+  if (page > 1) {
+    links.push(`<${pageUrl(req, Math.min(page - 1, lastPage))}>; rel="prev"`)
+  }
+  if (page < lastPage) {
+    links.push(`<${pageUrl(req, page + 1)}>; rel="next"`)
+  }
+  links.push(`<${pageUrl(req, lastPage)}>; rel="last"`)
+
+  res.set('X-Total-Count', String(total))
+  res.set('Link', links.join(', '))
+}
+
+module.exports = {
+  parseListQuery,
+  setPaginationHeaders
+}
@@ -0,0 +1,178 @@
+const { priceOrder } = require('../models/order')
+
+// The pricing engine. An order's lines are priced from the lessons in the
+// database, then discounts are taken off in this order:
+//   1. sibling: siblingPercent off the lessons of every named child after
+//      the one with the biggest bill
+//   2. bundle: bundlePercent off once the order has bundleMinLessons or more
+//      seats in it
+//   3. code: the promo code the parent entered, a percentage or fixed
+//      amount off what is left
+// Each discount is shared out over the lines it applies to, so every line's
+// lineTotal is what is actually paid for it and they add up to the total.
+// Sums are done in pence to keep rounding exact.
+
+const toPence = pounds => Math.round(pounds * 100)
+const toPounds = pence => pence / 100
+const sum = values => values.reduce((total, value) => total + value, 0)
+
+// Split amount pence over lines in proportion to weights. Leftover pence go
+// to the lines with the largest remainders, so the parts add up exactly.
+function allocate(amount, weights) {
+  const total = sum(weights)
+  if (total === 0) {
+    return weights.map(() => 0)
+  }
+
+  const exact = weights.map(weight => amount * weight / total)
+  const parts = exact.map(Math.floor)
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder)
+
+  for (let i = 0; i < amount - sum(parts); i++) {
+    parts[byRemainder[i].index]++
+  }
+  return parts
+}
+
+const today = now => now.toISOString().slice(0, 10)
+
+// Why a promotion can't be used on the given day, or null when it can
+function codeProblem(promotion, day) {
+  if (!promotion || !promotion.active) {
+    return 'is not a valid code'
+  }
+  if (promotion.validFrom && day < promotion.validFrom) {
+    return `can't be used until ${promotion.validFrom}`
+  }
+  if (promotion.validTo && day > promotion.validTo) {
+    return 'has expired'
+  }
+  if (promotion.maxUses !== undefined && promotion.uses >= promotion.maxUses) {
+    return 'has been used up'
+  }
+  return null
+}
+
+function describeCode(promotion) {
+  return promotion.description || (promotion.type === 'percentage'
+    ? `${promotion.value}% off with ${promotion.code}`
+    : `£${promotion.value.toFixed(2)} off with ${promotion.code}`)
+}
+
+// rules: { siblingPercent, bundleMinLessons, bundlePercent }. A percent of 0
+// turns that discount off.
+function createPricing({ db, rules }) {
+  const promotions = () => db.collection('promotions')
+
+  // Price an order's lines against the lessons they refer to. Resolves to
+  // { items, subtotal, discounts, discountTotal, total }, or { errors } when
+  // a lesson is missing or the promo code can't be used.
+  async function price(lines, lessonsInDb, { promoCode, now = new Date() } = {}) {
+    const { items, errors } = priceOrder(lines, lessonsInDb)
+
+    let promotion = null
+    if (promoCode) {
+      promotion = await promotions().findOne({ code: promoCode })
+      const problem = codeProblem(promotion, today(now))
+      if (problem) {
+        errors.promoCode = `${promoCode} ${problem}`
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return { errors }
+    }
+
+    const gross = items.map(item => toPence(item.lineTotal))
+    const net = [...gross]
+    const discounts = []
+
+    const apply = (discount, parts) => {
+      const amount = sum(parts)
+      if (amount > 0) {
+        parts.forEach((part, index) => { net[index] -= part })
+        discounts.push({ ...discount, amount: toPounds(amount) })
+      }
+    }
+
+    const children = new Map()
+    items.forEach((item, index) => {
+      if (item.childId) {
+        children.set(item.childId, (children.get(item.childId) || 0) + gross[index])
+      }
+    })
+
+    if (rules.siblingPercent > 0 && children.size > 1) {
+      const [[firstChild]] = [...children].sort((a, b) => b[1] - a[1])
+      apply(
+        { type: 'sibling', description: `${rules.siblingPercent}% off for brothers and sisters` },
+        items.map((item, index) => item.childId && item.childId !== firstChild
+          ? Math.round(gross[index] * rules.siblingPercent / 100)
+          : 0)
+      )
+    }
+
+    const seats = sum(items.map(item => item.quantity))
+    if (rules.bundlePercent > 0 && seats >= rules.bundleMinLessons) {
+      apply(
+        { type: 'bundle', description: `${rules.bundlePercent}% off for booking ${rules.bundleMinLessons} or more lessons` },
+        allocate(Math.round(sum(net) * rules.bundlePercent / 100), net)
+      )
+    }
+
+    if (promotion) {
+      const left = sum(net)
+      const amount = promotion.type === 'percentage'
+        ? Math.round(left * promotion.value / 100)
+        : Math.min(left, toPence(promotion.value))
+      apply({ type: 'code', code: promotion.code, description: describeCode(promotion) }, allocate(amount, net))
+    }
+
+    return {
+      items: items.map((item, index) => ({
+        ...item,
+        discount: toPounds(gross[index] - net[index]),
+        lineTotal: toPounds(net[index])
+      })),
+      subtotal: toPounds(sum(gross)),
+      discounts,
+      discountTotal: toPounds(sum(gross) - sum(net)),
+      total: toPounds(sum(net))
+    }
+  }
+
+  // Count one use of a code as an order is placed. Resolves to the promotion,
+  // or null when it was used up, or stopped being valid, after the order was
+  // priced.
+  async function redeem(code, { now = new Date() } = {}) {
+    const day = today(now)
+    const promotion = await promotions().findOneAndUpdate(
+      {
+        code,
+        active: true,
+        $and: [
+          { $or: [{ maxUses: { $exists: false } }, { $expr: { $lt: ['$uses', '$maxUses'] } }] },
+          { $or: [{ validFrom: { $exists: false } }, { validFrom: { $lte: day } }] },
+          { $or: [{ validTo: { $exists: false } }, { validTo: { $gte: day } }] }
+        ]
+      },
+      { $inc: { uses: 1 } }
+    )
+    return promotion
+  }
+
+  // Hand back a use counted for an order that then failed or was cancelled.
+  // Goes by _id, as the code may have been renamed since.
+  async function release(promotionId) {
+    await promotions().updateOne({ _id: promotionId, uses: { $gt: 0 } }, { $inc: { uses: -1 } })
+  }
+
+  return { price, redeem, release }
+}
+
+module.exports = {
+  allocate,
+  createPricing
+}
@@ -0,0 +1,145 @@
+const { AppError } = require('./errors')
+const { logger } = require('./logger')
+
+// Token bucket rate limiting. Each client gets a bucket per limit that holds
+// up to perMinute tokens and refills at perMinute a minute; a request takes a
+// token and is turned away with a 429 when there are none left. Buckets are
+// kept in a store: in memory for a single instance, or in MongoDB when
+// several instances share the limits.
+
+const STORES = ['memory', 'mongo']
+
+// Past this many buckets the memory store forgets the least recently used.
+// Such a bucket has usually refilled long ago.
+const MAX_MEMORY_BUCKETS = 10000
+
+// A bucket's state at now, after taking a token if it has one. A bucket that
+// doesn't exist yet is full. fullAt is when it will be full again.
+function drain(bucket, { capacity, refillPerSecond }, now) {
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0
+  const available = bucket ? Math.min(capacity, bucket.tokens + elapsed * refillPerSecond) : capacity
+  const allowed = available >= 1
+  const tokens = allowed ? available - 1 : available
+
+  return {
+    allowed,
+    tokens,
+    updatedAt: now,
+    fullAt: now + Math.ceil((capacity - tokens) / refillPerSecond * 1000)
+  }
+}
+
+function createMemoryStore({ maxBuckets = MAX_MEMORY_BUCKETS } = {}) {
+  const buckets = new Map()
+
+  async function take(key, policy, now = Date.now()) {
+    const bucket = drain(buckets.get(key), policy, now)
+
+    // Maps keep insertion order, so moving the key to the end on every take
+    // leaves the least recently used bucket first, ready to evict
+    buckets.delete(key)
+    if (buckets.size >= maxBuckets) {
+      buckets.delete(buckets.keys().next().value)
+    }
+    buckets.set(key, bucket)
+
+    return bucket
+  }
+
+  return { take }
+}
+
+// Buckets in the rate_limits collection. Updates only apply if the bucket is
+// unchanged since it was read, so two instances can't spend the same token.
+// A bucket expires, and is removed by a TTL index, once it has refilled.
+function createMongoStore({ db, attempts = 3 }) {
+  const buckets = () => db.collection('rate_limits')
+
+  async function take(key, policy, now = Date.now()) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const stored = await buckets().findOne({ _id: key })
+      const bucket = drain(stored, policy, now)
+      const fields = { tokens: bucket.tokens, updatedAt: now, expiresAt: new Date(bucket.fullAt) }
+
+      try {
+        if (!stored) {
+          await buckets().insertOne({ _id: key, ...fields })
+          return bucket
+        }
+
+        const result = await buckets().updateOne(
+          { _id: key, tokens: stored.tokens, updatedAt: stored.updatedAt },
+          { $set: fields }
+        )
+        if (result.matchedCount === 1) {
+          return bucket
+        }
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error
+        }
+      }
+    }
+
+    // Lost the race on every attempt. Let the request through rather than
+    // fail it; the other requests have been counted.
+    return { allowed: true, tokens: 0, updatedAt: now, fullAt: now }
+  }
+
+  return { take }
+}
+
+// Middleware for one limit. name keeps its buckets apart from other limits,
+// key picks the client (the IP address by default). Signed in admins and
+// addresses on the allowlist are never limited. Sets the RateLimit-* headers
+// of the IETF draft, keeping the tightest when several limits apply.
+function rateLimit({ store, name, perMinute, allowlist = [], key = req => req.ip }) {
+  const policy = { capacity: perMinute, refillPerSecond: perMinute / 60 }
+
+  return async (req, res, next) => {
+    if ((req.user && req.user.role === 'admin') || allowlist.includes(req.ip)) {
+      return next()
+    }
+
+    const now = Date.now()
+    let bucket
+    try {
+      bucket = await store.take(`${name}:${key(req)}`, policy, now)
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      logger.warn('Rate limit store failed, letting request through', { error, limit: name })
+      return next()
+    }
+
+    const remaining = Math.floor(bucket.tokens)
+    const current = res.get('RateLimit-Remaining')
+    if (current === undefined || remaining < Number(current)) {
+      res.set({
+        'RateLimit-Policy': `${perMinute};w=60`,
+        'RateLimit-Limit': String(perMinute),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(Math.ceil((bucket.fullAt - now) / 1000))
+      })
+    }
+
+    if (!bucket.allowed) {
+      const retryAfter = Math.ceil((1 - bucket.tokens) / policy.refillPerSecond)
+      res.set('Retry-After', String(retryAfter))
+      logger.warn('Rate limited', { limit: name, path: req.originalUrl.split('?')[0] })
+      throw new AppError(`Too many requests. Try again in ${retryAfter} seconds`, {
+        status: 429,
+        code: 'RATE_LIMITED',
+        title: 'Too many requests'
+      })
+    }
+
+    next()
+  }
+}
+
+module.exports = {
+  STORES,
+  createMemoryStore,
+  createMongoStore,
+  rateLimit
+}
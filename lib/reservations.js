@@ -0,0 +1,87 @@
+const { ObjectId } = require('mongodb')
+const { logger } = require('./logger')
+
+// Add up the quantity requested per lesson, so the same lesson appearing
+// twice in an order is reserved as a single decrement
+function groupLessonQuantities(orderedLessons) {
+  const quantities = new Map()
+
+  for (const lesson of orderedLessons) {
+    const lessonId = String(lesson.id)
+    const quantity = Number(lesson.quantity) || 1
+    quantities.set(lessonId, (quantities.get(lessonId) || 0) + quantity)
+  }
+
+  return quantities
+}
+
+// Reserve seats for every lesson in an order. Each lesson is decremented with
+// a conditional update, so two orders can never both take the last seat. If any
+// lesson is short, the seats already taken are put back and the shortages are
+// returned so the whole order can be rejected.
+async function reserveLessonSpaces(db, orderedLessons) {
+  logger.debug('Reserving lesson spaces', { lessons: orderedLessons.length })
+
+  const lessonsCollection = db.collection('lessons')
+  const reserved = []
+  const shortages = []
+
+  try {
+    for (const [lessonId, quantity] of groupLessonQuantities(orderedLessons)) {
+      if (!ObjectId.isValid(lessonId)) {
+        shortages.push({ id: lessonId, requested: quantity, available: 0 })
+        continue
+      }
+
+      const result = await lessonsCollection.updateOne(
+        { _id: new ObjectId(lessonId), spaces: { $gte: quantity } },
+        { $inc: { spaces: -quantity } }
+      )
+
+      if (result.modifiedCount === 1) {
+        reserved.push({ id: lessonId, quantity })
+        continue
+      }
+
+      const lessonInDb = await lessonsCollection.findOne({ _id: new ObjectId(lessonId) })
+      shortages.push({
+        id: lessonId,
+        subject: lessonInDb ? lessonInDb.subject : undefined,
+        requested: quantity,
+        available: lessonInDb ? lessonInDb.spaces : 0
+      })
+    }
+  } catch (error) {
+    await releaseLessonSpaces(db, reserved)
+    throw error
+  }
+
+  if (shortages.length > 0) {
+    await releaseLessonSpaces(db, reserved)
+    return { reserved: [], shortages }
+  }
+
+  logger.debug('Reserved lesson spaces', { lessons: reserved.length })
+  return { reserved, shortages }
+}
+
+// Put previously reserved seats back on their lessons
+async function releaseLessonSpaces(db, reservedLessons) {
+  const lessonsCollection = db.collection('lessons')
+
+  for (const lesson of reservedLessons) {
+    try {
+      await lessonsCollection.updateOne(
+        { _id: new ObjectId(lesson.id) },
+        { $inc: { spaces: lesson.quantity } }
+      )
+    } catch (error) {
+      logger.error('Failed to release lesson spaces', { lessonId: lesson.id, quantity: lesson.quantity, error })
+    }
+  }
+}
+
+module.exports = {
+  reserveLessonSpaces,
+  releaseLessonSpaces
+}
@@ -0,0 +1,134 @@
+// Weekly lesson schedules. A schedule runs on one weekday between startTime
+// and endTime, every week from termStart to termEnd except excludedDates.
+// Dates are 'YYYY-MM-DD' strings and times 'HH:MM', both in school local time,
+// so all date maths is done in UTC to keep clock changes out of it.
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Longest a term can run, a school year, which keeps the sessions list short
+const MAX_TERM_DAYS = 366
+
+function isDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false
+  }
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+function weekdayOf(date) {
+  // getUTCDay() counts from Sunday, WEEKDAYS from Monday
+  return WEEKDAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7]
+}
+
+function addDays(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10)
+}
+
+function daysBetween(from, to) {
+  return (new Date(`${to}T00:00:00Z`).getTime() - new Date(`${from}T00:00:00Z`).getTime()) / DAY_MS
+}
+
+// Returns an error message for an invalid schedule, or null
+function checkSchedule(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'must be an object with weekday, startTime, endTime, termStart and termEnd'
+  }
+  if (!WEEKDAYS.includes(value.weekday)) {
+    return `weekday must be one of ${WEEKDAYS.join(', ')}`
+  }
+  if (!TIME_PATTERN.test(value.startTime) || !TIME_PATTERN.test(value.endTime)) {
+    return 'startTime and endTime must be HH:MM times'
+  }
+  if (value.startTime >= value.endTime) {
+    return 'startTime must be before endTime'
+  }
+  if (!isDate(value.termStart) || !isDate(value.termEnd)) {
+    return 'termStart and termEnd must be YYYY-MM-DD dates'
+  }
+  if (value.termStart > value.termEnd) {
+    return 'termStart must not be after termEnd'
+  }
+  if (daysBetween(value.termStart, value.termEnd) > MAX_TERM_DAYS) {
+    return `a term can run for at most ${MAX_TERM_DAYS} days`
+  }
+  if (value.excludedDates !== undefined &&
+    (!Array.isArray(value.excludedDates) || !value.excludedDates.every(isDate))) {
+    return 'excludedDates must be a list of YYYY-MM-DD dates'
+  }
+  return null
+}
+
+// Keep only the schedule's known fields, with excludedDates sorted and unique
+function cleanSchedule({ weekday, startTime, endTime, termStart, termEnd, excludedDates = [] }) {
+  return { weekday, startTime, endTime, termStart, termEnd, excludedDates: [...new Set(excludedDates)].sort() }
+}
+
+// Every date a schedule actually runs on, optionally limited to from..to
+// (inclusive). Returns [{ date, weekday, startTime, endTime }].
+function expandSessions(schedule, { from, to } = {}) {
+  if (!schedule) {
+    return []
+  }
+
+  const start = from && from > schedule.termStart ? from : schedule.termStart
+  const end = to && to < schedule.termEnd ? to : schedule.termEnd
+  const excluded = new Set(schedule.excludedDates || [])
+  const sessions = []
+
+  let date = start
+  while (date <= end && weekdayOf(date) !== schedule.weekday) {
+    date = addDays(date, 1)
+  }
+
+  for (; date <= end; date = addDays(date, 7)) {
+    if (!excluded.has(date)) {
+      sessions.push({ date, weekday: schedule.weekday, startTime: schedule.startTime, endTime: schedule.endTime })
+    }
+  }
+
+  return sessions
+}
+
+// Dates on which two schedules run at overlapping times
+function clashingDates(a, b) {
+  if (!a || !b || a.weekday !== b.weekday || !(a.startTime < b.endTime && b.startTime < a.endTime)) {
+    return []
+  }
+
+  const datesOfB = new Set(expandSessions(b).map(session => session.date))
+  return expandSessions(a).map(session => session.date).filter(date => datesOfB.has(date))
+}
+
+// Every pair of lessons whose schedules overlap, as
+// [{ lessons: [{ id, subject }, { id, subject }], dates }]
+function findClashes(lessons) {
+  const clashes = []
+
+  for (let i = 0; i < lessons.length; i++) {
+    for (let j = i + 1; j < lessons.length; j++) {
+      const dates = clashingDates(lessons[i].schedule, lessons[j].schedule)
+      if (dates.length > 0) {
+        clashes.push({
+          lessons: [lessons[i], lessons[j]].map(lesson => ({ id: lesson._id.toString(), subject: lesson.subject })),
+          dates
+        })
+      }
+    }
+  }
+
+  return clashes
+}
+
+module.exports = {
+  WEEKDAYS,
+  isDate,
+  checkSchedule,
+  cleanSchedule,
+  expandSessions,
+  clashingDates,
+  findClashes
+}
@@ -0,0 +1,235 @@
+// In-process lesson search. Lessons are tokenised into an inverted index over
+// subject, location and description, and queries are ranked by how well and
+// where each term matches. Numeric conditions such as "price<100" become
+// Mongo range filters instead of text terms.
+
+const { ObjectId } = require('mongodb')
+
+const FIELD_WEIGHTS = { subject: 3, location: 2, description: 1 }
+const MATCH_WEIGHTS = { exact: 3, prefix: 2, fuzzy: 1 }
+const NUMERIC_FIELDS = ['price', 'spaces']
+const COMPARISONS = { '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte', '=': '$eq', ':': '$eq' }
+const CONDITION_PATTERN = /^(price|spaces)(<=|>=|<|>|=|:)(\d+(?:\.\d+)?)$/i
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+}
+
+// Edit distance between two strings, giving up early once it is over max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      rowMin = Math.min(rowMin, current[j])
+    }
+
+    if (rowMin > max) {
+      return max + 1
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+// How many typos a term of this length is allowed
+function fuzziness(term) {
+  if (term.length >= 8) return 2
+  if (term.length >= 4) return 1
+  return 0
+}
+
+// Split a raw search string into text terms and numeric filters.
+// "maths price<50 3" gives terms ["maths"], a price < 50 filter, and a bare
+// number that matches either price or spaces exactly.
+function parseSearchQuery(raw) {
+  const terms = []
+  const filter = {}
+  const numbers = []
+
+  for (const word of String(raw || '').trim().split(/\s+/).filter(Boolean)) {
+    const condition = CONDITION_PATTERN.exec(word)
+
+    if (condition) {
+      const field = condition[1].toLowerCase()
+      filter[field] = { ...filter[field], [COMPARISONS[condition[2]]]: Number(condition[3]) }
+    } else if (/^\d+(\.\d+)?$/.test(word)) {
+      numbers.push(Number(word))
+    } else {
+      terms.push(...tokenize(word))
+    }
+  }
+
+  if (numbers.length > 0) {
+    filter.$and = numbers.map(number => ({
+      $or: NUMERIC_FIELDS.map(field => ({ [field]: number }))
+    }))
+  }
+
+  return { terms, filter }
+}
+
+class LessonSearchIndex {
+  constructor(lessons = []) {
+    // token -> Map(lesson id -> best field weight the token appears in)
+    this.postings = new Map()
+
+    for (const lesson of lessons) {
+      this.add(lesson)
+    }
+  }
+
+  add(lesson) {
+    const id = lesson._id.toString()
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const token of tokenize(lesson[field])) {
+        if (!this.postings.has(token)) {
+          this.postings.set(token, new Map())
+        }
+        const docs = this.postings.get(token)
+        docs.set(id, Math.max(docs.get(id) || 0, weight))
+      }
+    }
+  }
+
+  // Score every lesson matching one query term, keeping the best match per lesson
+  matchTerm(term) {
+    const scores = new Map()
+    const maxTypos = fuzziness(term)
+
+    for (const [token, docs] of this.postings) {
+      let kind = null
+      if (token === term) {
+        kind = 'exact'
+      } else if (token.startsWith(term)) {
+        kind = 'prefix'
+      } else if (maxTypos > 0 && editDistance(term, token, maxTypos) <= maxTypos) {
+        kind = 'fuzzy'
+      }
+
+      if (!kind) {
+        continue
+      }
+
+      for (const [id, fieldWeight] of docs) {
+        const score = MATCH_WEIGHTS[kind] * fieldWeight
+        scores.set(id, Math.max(scores.get(id) || 0, score))
+      }
+    }
+
+    return scores
+  }
+
+  // Lessons matching every term, best first, as [{ id, score }]
+  search(terms) {
+    let results = null
+
+    for (const term of terms) {
+      const scores = this.matchTerm(term)
+      const next = new Map()
+
+      for (const [id, score] of scores) {
+        if (!results || results.has(id)) {
+          next.set(id, (results ? results.get(id) : 0) + score)
+        }
+      }
+      results = next
+    }
+
+    return [...(results || [])]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+  }
+}
+
+// Search over a lessons collection. The index is rebuilt when it is older than
+// maxAgeMs, or straight away after invalidate() is called because a lesson
+// changed. getCollection is called on every search so the collection can be
+// looked up lazily.
+function createLessonSearch(getCollection, { maxAgeMs = 30000 } = {}) {
+  let index = null
+  let builtAt = 0
+  let building = null
+  // Bumped by invalidate(), so a build that read the lessons before a change
+  // isn't kept as if it were fresh
+  let generation = 0
+
+  async function currentIndex() {
+    if (index && Date.now() - builtAt < maxAgeMs) {
+      return index
+    }
+
+    if (!building) {
+      const startedAt = generation
+      const build = getCollection()
+        .find({}, { projection: { subject: 1, location: 1, description: 1 } })
+        .toArray()
+        .then(lessons => {
+          const built = new LessonSearchIndex(lessons)
+          if (startedAt === generation) {
+            index = built
+            builtAt = Date.now()
+          }
+          return built
+        })
+        .finally(() => {
+          if (building === build) {
+            building = null
+          }
+        })
+      building = build
+    }
+
+    return building
+  }
+
+  // Searches that already started may still use the old index, but every
+  // search after this builds a new one
+  function invalidate() {
+    generation++
+    builtAt = 0
+    building = null
+  }
+
+  // Resolve to the lessons matching a raw search string, most relevant first
+  async function search(raw) {
+    const { terms, filter } = parseSearchQuery(raw)
+    const collection = getCollection()
+
+    if (terms.length === 0) {
+      return collection.find(filter).sort({ subject: 1, _id: 1 }).toArray()
+    }
+
+    const ranked = (await currentIndex()).search(terms)
+    if (ranked.length === 0) {
+      return []
+    }
+
+    const lessons = await collection
+      .find({ ...filter, _id: { $in: ranked.map(result => new ObjectId(result.id)) } })
+      .toArray()
+
+    const rank = new Map(ranked.map((result, position) => [result.id, position]))
+    return lessons.sort((a, b) => rank.get(a._id.toString()) - rank.get(b._id.toString()))
+  }
+
+  return { search, invalidate }
+}
+
+module.exports = {
+  tokenize,
+  parseSearchQuery,
+  LessonSearchIndex,
+  createLessonSearch
+}
@@ -0,0 +1,37 @@
+const { logger } = require('./logger')
+
+// Run housekeeping tasks on an interval, one after another. A run is skipped
+// if the previous one is still going, and one task failing doesn't stop the
+// others. Returns a function that stops the sweeper.
+function startSweeper({ tasks, intervalMs }) {
+  let running = false
+
+  async function sweep() {
+    if (running) {
+      return
+    }
+    running = true
+
+    for (const task of tasks) {
+      try {
+        const count = await task.run()
+        if (count) {
+          logger.info('Sweep task done', { task: task.name, count })
+        }
+      } catch (error) {
+        logger.error('Sweep failed', { task: task.name, error })
+      }
+    }
+
+    running = false
+  }
+
+  const timer = setInterval(sweep, intervalMs)
+  timer.unref()
+
+  return () => clearInterval(timer)
+}
+
+module.exports = {
+  startSweeper
+}
@@ -0,0 +1,9 @@
+// Escape every character that has a meaning in a regular expression, so user
+// input can be matched literally
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&')
+}
+
+module.exports = {
+  escapeRegex
+}
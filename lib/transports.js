@@ -0,0 +1,123 @@
+const fs = require('fs/promises')
+const path = require('path')
+const nodemailer = require('nodemailer')
+
+// Ways to send a notification. Each transport is { name, send(message) }
+// where message is { to, subject, text } (subject for email only). send
+// resolves once the message is handed over and rejects if it couldn't be.
+
+const EMAIL_TRANSPORTS = ['smtp', 'file', 'console', 'none']
+const SMS_TRANSPORTS = ['twilio', 'file', 'console', 'none']
+
+// SMS messages longer than this are cut short rather than split into many
+const MAX_SMS_LENGTH = 480
+
+function createSmtpTransport({ url, from }) {
+  const mailer = nodemailer.createTransport(url)
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text }) {
+      await mailer.sendMail({ from, to, subject, text })
+    }
+  }
+}
+
+// Parents give their phone number as bare digits, usually in national form,
+// but Twilio only takes E.164. A leading 0 is the national trunk prefix and
+// makes way for the country code, 00 starts an international number and
+// anything else gets the country code unless it already starts with it.
+function toE164(phone, countryCode) {
+  const digits = String(phone).replace(/\D/g, '')
+  if (digits.startsWith('00')) {
+    return `+${digits.slice(2)}`
+  }
+  if (digits.startsWith('0')) {
+    return `+${countryCode}${digits.slice(1)}`
+  }
+  return digits.startsWith(countryCode) ? `+${digits}` : `+${countryCode}${digits}`
+}
+
+// Texts through Twilio's REST API
+function createTwilioTransport({ accountSid, authToken, from, countryCode, fetch = globalThis.fetch }) {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`
+  const auth = Buffer.from(`${accountSid}:${authToken}`).toString('base64')
+
+  return {
+    name: 'twilio',
+    async send({ to, text }) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: `Basic ${auth}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ To: toE164(to, countryCode), From: from, Body: text.slice(0, MAX_SMS_LENGTH) }),
+        signal: AbortSignal.timeout(10000)
+      })
+      if (!res.ok) {
+        throw new Error(`Twilio answered ${res.status}: ${(await res.text()).slice(0, 200)}`)
+      }
+    }
+  }
+}
+
+// Append each message to a file as a JSON line, for local development and
+// tests. The file holds personal data, so keep it out of version control.
+function createFileTransport({ file, channel }) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true })
+      await fs.appendFile(file, JSON.stringify({ channel, sentAt: new Date().toISOString(), ...message }) + '\n')
+    }
+  }
+}
+
+// Print messages for local development. They go straight to stdout rather
+// than through the logger, which would mask the personal details in them.
+function createConsoleTransport({ channel, write = line => process.stdout.write(line) }) {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      write(`--- ${channel} to ${to}${subject ? `: ${subject}` : ''}\n${text}\n---\n`)
+    }
+  }
+}
+
+// The email and SMS transports config asks for. A channel set to none has
+// no transport, and nothing is sent on it.
+function createTransports(config) {
+  const build = {
+    email: {
+      smtp: () => createSmtpTransport({ url: config.smtpUrl, from: config.emailFrom }),
+      file: () => createFileTransport({ file: config.notificationsFile, channel: 'email' }),
+      console: () => createConsoleTransport({ channel: 'email' }),
+      none: () => null
+    },
+    sms: {
+      twilio: () => createTwilioTransport({
+        accountSid: config.twilioAccountSid,
+        authToken: config.twilioAuthToken,
+        from: config.smsFrom,
+        countryCode: config.smsCountryCode
+      }),
+      file: () => createFileTransport({ file: config.notificationsFile, channel: 'sms' }),
+      console: () => createConsoleTransport({ channel: 'sms' }),
+      none: () => null
+    }
+  }
+
+  return {
+    email: build.email[config.emailTransport](),
+    sms: build.sms[config.smsTransport]()
+  }
+}
+
+module.exports = {
+  EMAIL_TRANSPORTS,
+  SMS_TRANSPORTS,
+  toE164,
+  createSmtpTransport,
+  createTwilioTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createTransports
+}
@@ -0,0 +1,189 @@
+const { logger } = require('./logger')
+
+// Waitlists for full lessons. Parents join a lesson's queue; when seats free
+// up the next entry in line is offered them. An offer reserves the seats on
+// the lesson straight away and holds them until it expires, is claimed by an
+// order, or is swept up by expireOffers().
+
+// A claimed offer is in the middle of becoming an order. If it is still
+// claimed this long after its offer ran out, the order never finished.
+const STALE_CLAIM_MS = 5 * 60 * 1000
+
+// notifications, when given, tells parents about the seats offered to them.
+// audit records the seats offers take and give back.
+function createWaitlist({ db, offerMinutes, notifications, audit }) {
+  const entries = () => db.collection('waitlist')
+  const lessons = () => db.collection('lessons')
+
+  // 1-based place in the queue for a waiting entry, null for any other status
+  async function position(entry) {
+    if (entry.status !== 'waiting') {
+      return null
+    }
+
+    const ahead = await entries().countDocuments({
+      lessonId: entry.lessonId,
+      status: 'waiting',
+      $or: [
+        { createdAt: { $lt: entry.createdAt } },
+        { createdAt: entry.createdAt, _id: { $lt: entry._id } }
+      ]
+    })
+    return ahead + 1
+  }
+
+  async function join(lessonId, { name, phone, quantity }, userId) {
+    const entry = {
+      lessonId,
+      name,
+      phone,
+      quantity,
+      status: 'waiting',
+      createdAt: new Date()
+    }
+    if (userId) {
+      entry.userId = userId
+    }
+
+    await entries().insertOne(entry)
+    logger.info('Joined waitlist', { lessonId })
+
+    return { ...entry, position: await position(entry) }
+  }
+
+  // Every entry for a lesson in queue order, with positions for those waiting
+  async function list(lessonId) {
+    const all = await entries().find({ lessonId }).sort({ createdAt: 1, _id: 1 }).toArray()
+    let place = 0
+    return all.map(entry => ({ ...entry, position: entry.status === 'waiting' ? ++place : null }))
+  }
+
+  // Offer freed seats to the front of the queue, in order, until the next
+  // entry asks for more seats than the lesson has left.
+  // Resolves to the entries that were offered seats.
+  async function promote(lessonId) {
+    const offered = []
+
+    for (;;) {
+      const next = await entries().findOne({ lessonId, status: 'waiting' }, { sort: { createdAt: 1, _id: 1 } })
+      if (!next) {
+        break
+      }
+
+      const reserved = await lessons().findOneAndUpdate(
+        { _id: lessonId, spaces: { $gte: next.quantity } },
+        { $inc: { spaces: -next.quantity } },
+        { returnDocument: 'after' }
+      )
+      if (!reserved) {
+        break
+      }
+
+      const offeredAt = new Date()
+      const entry = await entries().findOneAndUpdate(
+        { _id: next._id, status: 'waiting' },
+        { $set: { status: 'offered', offeredAt, offerExpiresAt: new Date(offeredAt.getTime() + offerMinutes * 60000) } },
+        { returnDocument: 'after' }
+      )
+
+      if (!entry) {
+        // Someone else moved this entry on first, give the seats back
+        await lessons().updateOne({ _id: lessonId }, { $inc: { spaces: next.quantity } })
+        continue
+      }
+
+      await audit.recordSeats(reserved, -entry.quantity, `Offered to waitlist entry ${entry._id}`)
+
+      logger.info('Offered waitlist seats', { lessonId, entryId: entry._id, quantity: entry.quantity })
+      offered.push(entry)
+
+      if (notifications) {
+        await notifications.waitlistOffered(entry)
+      }
+    }
+
+    return offered
+  }
+
+  // Put seats an offer held back on the lesson
+  async function giveBack(lessonId, quantity, reason) {
+    const lesson = await lessons().findOneAndUpdate(
+      { _id: lessonId },
+      { $inc: { spaces: quantity } },
+      { returnDocument: 'after' }
+    )
+    if (lesson) {
+      await audit.recordSeats(lesson, quantity, reason)
+    }
+  }
+
+  // Take back seats from offers that ran out and pass them down the queue.
+  // Resolves to the number of offers expired.
+  async function expireOffers(now = new Date()) {
+    const stale = await entries().find({
+      $or: [
+        { status: 'offered', offerExpiresAt: { $lte: now } },
+        { status: 'claimed', offerExpiresAt: { $lte: new Date(now.getTime() - STALE_CLAIM_MS) } }
+      ]
+    }).toArray()
+
+    const lessonIds = new Map()
+    let expired = 0
+
+    for (const candidate of stale) {
+      const entry = await entries().findOneAndUpdate(
+        { _id: candidate._id, status: candidate.status },
+        { $set: { status: 'expired', expiredAt: now } }
+      )
+      if (!entry) {
+        continue
+      }
+
+      await giveBack(entry.lessonId, entry.quantity, `Waitlist offer ${entry._id} expired`)
+      expired++
+      lessonIds.set(entry.lessonId.toString(), entry.lessonId)
+    }
+
+    for (const lessonId of lessonIds.values()) {
+      await promote(lessonId)
+    }
+
+    return expired
+  }
+
+  // Lock an unexpired offer for an order being placed by the same phone number.
+  // Resolves to the entry, or null when there is no such offer.
+  function claim(entryId, phone) {
+    return entries().findOneAndUpdate(
+      { _id: entryId, phone, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+      { $set: { status: 'claimed' } },
+      { returnDocument: 'after' }
+    )
+  }
+
+  // Hand a claimed offer back when its order could not be placed
+  async function restore(entry) {
+    await entries().updateOne({ _id: entry._id, status: 'claimed' }, { $set: { status: 'offered' } })
+  }
+
+  // Mark a claimed offer as used by an order. Any offered seats the order
+  // didn't need go back to the lesson and on to the next in the queue.
+  async function complete(entry, orderId, usedQuantity) {
+    await entries().updateOne(
+      { _id: entry._id, status: 'claimed' },
+      { $set: { status: 'converted', orderId, convertedAt: new Date() } }
+    )
+
+    const unused = entry.quantity - usedQuantity
+    if (unused > 0) {
+      await giveBack(entry.lessonId, unused, `Unused seats from waitlist offer ${entry._id}`)
+      await promote(entry.lessonId)
+    }
+  }
+
+  return { join, list, position, promote, expireOffers, claim, restore, complete }
+}
+
+module.exports = {
+  createWaitlist
+}
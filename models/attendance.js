@@ -0,0 +1,55 @@
+const { ObjectId } = require('mongodb')
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late']
+const MAX_NOTE_LENGTH = 500
+
+// Validate a batch of attendance marks for one session:
+// { marks: [{ childId, status, note? }] }. Each child can only be marked once.
+// Returns { value, errors } where errors maps field paths to messages.
+function validateMarks(body) {
+  const errors = {}
+  const value = { marks: [] }
+
+  if (!body || typeof body !== 'object' || !Array.isArray(body.marks) || body.marks.length === 0) {
+    return { value, errors: { marks: 'must be a non-empty list of { childId, status }' } }
+  }
+
+  const seen = new Set()
+
+  body.marks.forEach((mark, index) => {
+    const path = `marks[${index}]`
+
+    if (!mark || typeof mark !== 'object') {
+      errors[path] = 'must be an object with childId and status'
+      return
+    }
+
+    if (typeof mark.childId !== 'string' || !ObjectId.isValid(mark.childId) || mark.childId.length !== 24) {
+      errors[`${path}.childId`] = 'Child id must be a valid ObjectId'
+    } else if (seen.has(mark.childId)) {
+      errors[`${path}.childId`] = 'Child is marked more than once'
+    }
+    seen.add(mark.childId)
+
+    if (!ATTENDANCE_STATUSES.includes(mark.status)) {
+      errors[`${path}.status`] = `must be one of ${ATTENDANCE_STATUSES.join(', ')}`
+    }
+
+    if (mark.note !== undefined && (typeof mark.note !== 'string' || mark.note.length > MAX_NOTE_LENGTH)) {
+      errors[`${path}.note`] = `must be text of at most ${MAX_NOTE_LENGTH} characters`
+    }
+
+    value.marks.push({
+      childId: mark.childId,
+      status: mark.status,
+      ...(mark.note !== undefined && { note: mark.note })
+    })
+  })
+
+  return { value, errors }
+}
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  validateMarks
+}
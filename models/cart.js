@@ -0,0 +1,32 @@
+const { ObjectId } = require('mongodb')
+
+// Validate a lesson being added to a cart.
+// Returns { value, errors } where errors maps field names to messages.
+function validateCartItem(body) {
+  const errors = {}
+  const value = {}
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { body: 'Cart item must be a JSON object' } }
+  }
+
+  if (typeof body.lessonId !== 'string' || !ObjectId.isValid(body.lessonId) || body.lessonId.length !== 24) {
+    errors.lessonId = 'Lesson id must be a valid ObjectId'
+  } else {
+    value.lessonId = body.lessonId
+  }
+
+  if (body.quantity === undefined) {
+    value.quantity = 1
+  } else if (!Number.isInteger(body.quantity) || body.quantity < 1) {
+    errors.quantity = 'Quantity must be a positive integer'
+  } else {
+    value.quantity = body.quantity
+  }
+
+  return { value, errors }
+}
+
+module.exports = {
+  validateCartItem
+}
@@ -0,0 +1,67 @@
+const { NAME_PATTERN } = require('./contact')
+const { isDate } = require('../lib/schedule')
+
+const MAX_NOTES_LENGTH = 2000
+
+const notes = value => (typeof value === 'string' && value.length <= MAX_NOTES_LENGTH)
+  ? null
+  : `must be text of at most ${MAX_NOTES_LENGTH} characters`
+
+// Each field has a check that returns an error message, or nothing when valid
+const FIELDS = {
+  name: { required: true, check: value => (typeof value === 'string' && NAME_PATTERN.test(value.trim())) ? null : 'must contain letters only' },
+  dateOfBirth: {
+    required: true,
+    check: value => (isDate(value) && value <= new Date().toISOString().slice(0, 10)) ? null : 'must be a YYYY-MM-DD date in the past'
+  },
+  medicalNotes: { required: false, check: notes },
+  allergyNotes: { required: false, check: notes }
+}
+
+// Validate a child profile. With { partial: true } only the fields present
+// are checked, for updates. Unknown fields are rejected.
+// Returns { value, errors } where errors maps field names to messages.
+function validateChild(body, { partial = false } = {}) {
+  const errors = {}
+  const value = {}
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { body: 'Child must be a JSON object' } }
+  }
+
+  for (const field of Object.keys(body)) {
+    if (!FIELDS[field]) {
+      errors[field] = 'is not a child field'
+    }
+  }
+
+  for (const [field, rule] of Object.entries(FIELDS)) {
+    if (body[field] === undefined) {
+      if (rule.required && !partial) {
+        errors[field] = 'is required'
+      }
+      continue
+    }
+
+    const message = rule.check(body[field])
+    if (message) {
+      errors[field] = message
+    } else {
+      value[field] = body[field].trim()
+    }
+  }
+
+  return { value, errors }
+}
+
+// Age in whole years on a YYYY-MM-DD date
+function ageOn(dateOfBirth, date) {
+  const [birthYear, birthMonthDay] = [Number(dateOfBirth.slice(0, 4)), dateOfBirth.slice(5)]
+  const [year, monthDay] = [Number(date.slice(0, 4)), date.slice(5)]
+  return year - birthYear - (monthDay < birthMonthDay ? 1 : 0)
+}
+
+module.exports = {
+  validateChild,
+  ageOn
+}
@@ -0,0 +1,28 @@
+const NAME_PATTERN = /^[\p{L}]+(?: [\p{L}]+)*$/u
+const PHONE_PATTERN = /^\d{7,15}$/
+
+// Check the parent's name and phone on a payload, adding the cleaned values
+// to value and any problems to errors
+function validateContact(body, { value, errors }) {
+  if (typeof body.name !== 'string' || !body.name.trim()) {
+    errors.name = 'Name is required'
+  } else if (!NAME_PATTERN.test(body.name.trim())) {
+    errors.name = 'Name must contain letters only'
+  } else {
+    value.name = body.name.trim()
+  }
+
+  if (typeof body.phone !== 'string' && typeof body.phone !== 'number') {
+    errors.phone = 'Phone is required'
+  } else if (!PHONE_PATTERN.test(String(body.phone).trim())) {
+    errors.phone = 'Phone must contain 7 to 15 digits only'
+  } else {
+    value.phone = String(body.phone).trim()
+  }
+}
+
+module.exports = {
+  NAME_PATTERN,
+  PHONE_PATTERN,
+  validateContact
+}
@@ -0,0 +1,134 @@
+const { escapeRegex } = require('../lib/text')
+const { checkSchedule, cleanSchedule } = require('../lib/schedule')
+
+// Fields that can never be changed once a lesson exists
+const IMMUTABLE_FIELDS = ['_id', 'createdAt']
+
+// Each field has a check that returns an error message, or nothing when valid
+const FIELDS = {
+  subject: { required: true, check: nonEmptyString },
+  location: { required: true, check: nonEmptyString },
+  price: { required: true, check: value => (typeof value === 'number' && Number.isFinite(value) && value >= 0) ? null : 'must be a number of at least 0' },
+  spaces: { required: true, check: value => (Number.isInteger(value) && value >= 0) ? null : 'must be a whole number of at least 0' },
+  image: { required: true, check: nonEmptyString },
+  description: { required: false, check: value => typeof value === 'string' ? null : 'must be a string' },
+  minAge: { required: false, check: wholeAge },
+  maxAge: { required: false, check: wholeAge },
+  schedule: {
+    required: false,
+    check: checkSchedule,
+    clean: cleanSchedule
+  }
+}
+
+function wholeAge(value) {
+  return (Number.isInteger(value) && value >= 0 && value <= 25) ? null : 'must be a whole number of years from 0 to 25'
+}
+
+function nonEmptyString(value) {
+  return (typeof value === 'string' && value.trim()) ? null : 'must be a non-empty string'
+}
+
+// Validate a lesson payload. With { partial: true } only the fields present are
+// checked, which is what updates use. Unknown and immutable fields are rejected
+// so a typo can't quietly add or overwrite fields on the document.
+// Returns { value, errors } where errors maps field names to messages.
+function validateLesson(body, { partial = false } = {}) {
+  const errors = {}
+  const value = {}
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { body: 'Lesson must be a JSON object' } }
+  }
+
+  for (const field of Object.keys(body)) {
+    if (IMMUTABLE_FIELDS.includes(field)) {
+      errors[field] = 'cannot be changed'
+    } else if (!FIELDS[field]) {
+      errors[field] = 'is not a lesson field'
+    }
+  }
+
+  for (const [field, rule] of Object.entries(FIELDS)) {
+    if (body[field] === undefined) {
+      if (rule.required && !partial) {
+        errors[field] = 'is required'
+      }
+      continue
+    }
+
+    const message = rule.check(body[field])
+    if (message) {
+      errors[field] = message
+    } else if (rule.clean) {
+      value[field] = rule.clean(body[field])
+    } else {
+      value[field] = typeof body[field] === 'string' ? body[field].trim() : body[field]
+    }
+  }
+
+  if (value.minAge !== undefined && value.maxAge !== undefined && value.minAge > value.maxAge) {
+    errors.maxAge = 'must not be less than minAge'
+  }
+
+  return { value, errors }
+}
+
+// Lessons record the seats they were created with as capacity. An admin
+// setting spaces adds or takes away seats, so capacity moves by as much.
+// Returns the fields to $set with the change, none for lessons from before
+// capacity was recorded.
+function capacityChange(lesson, changes) {
+  if (changes.spaces === undefined || lesson.capacity === undefined) {
+    return {}
+  }
+  return { capacity: Math.max(lesson.capacity + changes.spaces - lesson.spaces, 0) }
+}
+
+// Fields GET /lessons can be sorted by
+const SORT_FIELDS = ['price', 'spaces', 'subject', 'location', 'createdAt']
+
+// Turn GET /lessons query parameters into a Mongo filter:
+// minPrice, maxPrice, hasSpaces=true|false, location and subject (exact,
+// case-insensitive). Returns { filter, errors }.
+function buildLessonFilter(query) {
+  const errors = {}
+  const filter = {}
+
+  for (const [param, operator] of [['minPrice', '$gte'], ['maxPrice', '$lte']]) {
+    if (query[param] === undefined) {
+      continue
+    }
+    const price = Number(query[param])
+    if (query[param] === '' || !Number.isFinite(price)) {
+      errors[param] = 'must be a number'
+      continue
+    }
+    filter.price = { ...filter.price, [operator]: price }
+  }
+
+  if (query.hasSpaces !== undefined) {
+    if (query.hasSpaces === 'true') {
+      filter.spaces = { $gt: 0 }
+    } else if (query.hasSpaces === 'false') {
+      filter.spaces = 0
+    } else {
+      errors.hasSpaces = 'must be true or false'
+    }
+  }
+
+  for (const field of ['location', 'subject']) {
+    if (typeof query[field] === 'string' && query[field].trim()) {
+      filter[field] = { $regex: `^${escapeRegex(query[field].trim())}$`, $options: 'i' }
+    }
+  }
+
+  return { filter, errors }
+}
+
+module.exports = {
+  SORT_FIELDS,
+  validateLesson,
+  capacityChange,
+  buildLessonFilter
+}
@@ -0,0 +1,239 @@
+const { ObjectId } = require('mongodb')
+
+const { validateContact } = require('./contact')
+const { normaliseCode } = require('./promotion')
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'cancelled', 'refunded']
+
+// Statuses an order can move to from each status
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['cancelled', 'refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+}
+
+// Orders in these statuses are holding seats on their lessons
+const SEAT_HOLDING_STATUSES = ['pending', 'confirmed']
+
+// Orders stored before statuses existed have none; treat them as confirmed
+function orderStatus(order) {
+  return order.status || 'confirmed'
+}
+
+// The statuses an order has to be in to move to the given status
+function statusesAllowedBefore(status) {
+  return ORDER_STATUSES.filter(from => STATUS_TRANSITIONS[from].includes(status))
+}
+
+// Check what is being bought: lessons, or the cartId of a cart holding them.
+// Fills in value and errors in place.
+function validateOrderLines(body, { value, errors }) {
+  if (body.cartId !== undefined) {
+    if (typeof body.cartId !== 'string' || !ObjectId.isValid(body.cartId) || body.cartId.length !== 24) {
+      errors.cartId = 'Cart id must be a valid ObjectId'
+    } else {
+      value.cartId = body.cartId
+    }
+    if (body.lessons !== undefined) {
+      errors.lessons = 'Send either lessons or a cartId, not both'
+    }
+    return
+  }
+
+  if (!Array.isArray(body.lessons) || body.lessons.length === 0) {
+    errors.lessons = 'Order must include at least one lesson'
+    return
+  }
+
+  value.lessons = []
+
+  body.lessons.forEach((item, index) => {
+    const path = `lessons[${index}]`
+
+    if (!item || typeof item !== 'object') {
+      errors[path] = 'Lesson must be an object with id and quantity'
+      return
+    }
+
+    const id = typeof item.id === 'string' ? item.id : ''
+    if (!ObjectId.isValid(id) || id.length !== 24) {
+      errors[`${path}.id`] = 'Lesson id must be a valid ObjectId'
+    }
+
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      errors[`${path}.quantity`] = 'Quantity must be a positive integer'
+    }
+
+    // A line booked for a named child is one seat for that child
+    if (item.childId !== undefined) {
+      if (typeof item.childId !== 'string' || !ObjectId.isValid(item.childId) || item.childId.length !== 24) {
+        errors[`${path}.childId`] = 'Child id must be a valid ObjectId'
+      } else if (item.quantity !== 1) {
+        errors[`${path}.quantity`] = 'Quantity must be 1 when booking for a child'
+      }
+      value.lessons.push({ id, quantity: item.quantity, childId: item.childId })
+      return
+    }
+
+    value.lessons.push({ id, quantity: item.quantity })
+  })
+}
+
+// An optional discount code, matched without regard to case
+function validatePromoCode(body, { value, errors }) {
+  if (body.promoCode === undefined) {
+    return
+  }
+  if (typeof body.promoCode !== 'string' || !body.promoCode.trim() || body.promoCode.length > 32) {
+    errors.promoCode = 'Promo code must be text of at most 32 characters'
+  } else {
+    value.promoCode = normaliseCode(body.promoCode)
+  }
+}
+
+// Validate an incoming order payload. Only the fields we know about are kept,
+// so anything else the client sends (prices, totals, ids) is dropped.
+// Returns { value, errors } where errors maps field paths to messages.
+function validateOrder(body) {
+  const errors = {}
+  const value = {}
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { body: 'Order must be a JSON object' } }
+  }
+
+  validateContact(body, { value, errors })
+  validateOrderLines(body, { value, errors })
+  validatePromoCode(body, { value, errors })
+
+  if (body.cartId !== undefined && body.waitlistEntryId !== undefined) {
+    errors.waitlistEntryId = 'Waitlist offers can not be combined with a cart'
+  }
+
+  // Book lessons that run at the same time anyway, e.g. for two children
+  if (body.allowClashes !== undefined) {
+    if (typeof body.allowClashes !== 'boolean') {
+      errors.allowClashes = 'allowClashes must be true or false'
+    } else {
+      value.allowClashes = body.allowClashes
+    }
+  }
+
+  // Set when the parent is taking up seats offered to them from a waitlist
+  if (body.waitlistEntryId !== undefined) {
+    if (typeof body.waitlistEntryId !== 'string' || !ObjectId.isValid(body.waitlistEntryId) || body.waitlistEntryId.length !== 24) {
+      errors.waitlistEntryId = 'Waitlist entry id must be a valid ObjectId'
+    } else {
+      value.waitlistEntryId = body.waitlistEntryId
+    }
+  }
+
+  return { value, errors }
+}
+
+// Validate a request for a price quote: the lessons or cart of an order to
+// be, and an optional promo code. Contact details aren't needed yet.
+// Returns { value, errors } where errors maps field paths to messages.
+function validateQuote(body) {
+  const errors = {}
+  const value = {}
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { body: 'Quote must be a JSON object' } }
+  }
+
+  validateOrderLines(body, { value, errors })
+  validatePromoCode(body, { value, errors })
+
+  return { value, errors }
+}
+
+// Build the stored line items and total from the lesson documents in the
+// database, so prices always come from the server and never from the client
+function priceOrder(orderLessons, lessonsInDb) {
+  const lessonsById = new Map(lessonsInDb.map(lesson => [lesson._id.toString(), lesson]))
+  const errors = {}
+  const items = []
+  let total = 0
+
+  orderLessons.forEach((item, index) => {
+    const lesson = lessonsById.get(item.id)
+
+    if (!lesson) {
+      errors[`lessons[${index}].id`] = `No lesson found with ID: ${item.id}`
+      return
+    }
+
+    const lineTotal = lesson.price * item.quantity
+    total += lineTotal
+
+    items.push({
+      id: item.id,
+      subject: lesson.subject,
+      price: lesson.price,
+      quantity: item.quantity,
+      lineTotal,
+      ...(item.childId && { childId: item.childId })
+    })
+  })
+
+  return { items, total: Math.round(total * 100) / 100, errors }
+}
+
+// Fields GET /orders can be sorted by
+const SORT_FIELDS = ['createdAt', 'total', 'name']
+
+// Turn GET /orders query parameters into a Mongo filter: from and to (dates,
+// matched against createdAt), minTotal / maxTotal and status.
+// Returns { filter, errors }.
+function buildOrderFilter(query) {
+  const errors = {}
+  const filter = {}
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (query[param] === undefined) {
+      continue
+    }
+    const date = new Date(query[param])
+    if (Number.isNaN(date.getTime())) {
+      errors[param] = 'must be a date'
+      continue
+    }
+    filter.createdAt = { ...filter.createdAt, [operator]: date }
+  }
+
+  for (const [param, operator] of [['minTotal', '$gte'], ['maxTotal', '$lte']]) {
+    if (query[param] === undefined) {
+      continue
+    }
+    const total = Number(query[param])
+    if (query[param] === '' || !Number.isFinite(total)) {
+      errors[param] = 'must be a number'
+      continue
+    }
+    filter.total = { ...filter.total, [operator]: total }
+  }
+
+  if (query.status !== undefined) {
+    if (!ORDER_STATUSES.includes(query.status)) {
+      errors.status = `must be one of ${ORDER_STATUSES.join(', ')}`
+    } else {
+      filter.status = query.status
+    }
+  }
+
+  return { filter, errors }
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  SEAT_HOLDING_STATUSES,
+  SORT_FIELDS,
+  orderStatus,
+  statusesAllowedBefore,
+  validateOrder,
+  validateQuote,
+  priceOrder,
+  buildOrderFilter
+}
@@ -0,0 +1,105 @@
+const { isDate } = require('../lib/schedule')
+
+const PROMOTION_TYPES = ['percentage', 'fixed']
+
+// Codes are matched without regard to case and stored upper case
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/
+
+const MAX_DESCRIPTION_LENGTH = 200
+
+function normaliseCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : code
+}
+
+// Each field has a check that returns an error message, or nothing when
+// valid, and a tidy that turns the checked value into what is stored
+const FIELDS = {
+  code: {
+    required: true,
+    check: value => CODE_PATTERN.test(normaliseCode(value)) ? null : 'must be 3 to 32 letters, digits, _ or -',
+    tidy: normaliseCode
+  },
+  type: {
+    required: true,
+    check: value => PROMOTION_TYPES.includes(value) ? null : `must be one of ${PROMOTION_TYPES.join(', ')}`
+  },
+  value: {
+    required: true,
+    check: value => typeof value === 'number' && Number.isFinite(value) && value > 0 && Math.round(value * 100) === value * 100
+      ? null
+      : 'must be a positive amount with at most 2 decimal places'
+  },
+  description: {
+    required: false,
+    check: value => typeof value === 'string' && value.trim().length <= MAX_DESCRIPTION_LENGTH
+      ? null
+      : `must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`,
+    tidy: value => value.trim()
+  },
+  validFrom: { required: false, check: value => isDate(value) ? null : 'must be a YYYY-MM-DD date' },
+  validTo: { required: false, check: value => isDate(value) ? null : 'must be a YYYY-MM-DD date' },
+  maxUses: {
+    required: false,
+    check: value => Number.isInteger(value) && value >= 1 ? null : 'must be a whole number of at least 1'
+  },
+  active: { required: false, check: value => typeof value === 'boolean' ? null : 'must be true or false' }
+}
+
+// Validate a discount code. value is a percentage (up to 100) or a fixed
+// amount off in pounds, depending on type. The code can be used from
+// validFrom to validTo inclusive, and at most maxUses times when set. With
+// { partial: true } only the fields present are checked, for updates; pass
+// the stored promotion as existing so the fields can be checked together.
+// Returns { value, errors } where errors maps field names to messages.
+function validatePromotion(body, { partial = false, existing = {} } = {}) {
+  const errors = {}
+  const value = {}
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { body: 'Promotion must be a JSON object' } }
+  }
+
+  for (const field of Object.keys(body)) {
+    if (!FIELDS[field]) {
+      errors[field] = 'is not a promotion field'
+    }
+  }
+
+  for (const [field, rule] of Object.entries(FIELDS)) {
+    if (body[field] === undefined) {
+      if (rule.required && !partial) {
+        errors[field] = 'is required'
+      }
+      continue
+    }
+
+    const message = rule.check(body[field])
+    if (message) {
+      errors[field] = message
+    } else {
+      value[field] = rule.tidy ? rule.tidy(body[field]) : body[field]
+    }
+  }
+
+  const merged = { ...existing, ...value }
+
+  if (merged.type === 'percentage' && merged.value > 100 && !errors.value) {
+    errors.value = 'must be at most 100 for a percentage'
+  }
+
+  if (merged.validFrom && merged.validTo && merged.validTo < merged.validFrom && !errors.validTo) {
+    errors.validTo = 'must not be before validFrom'
+  }
+
+  if (!partial && value.active === undefined) {
+    value.active = true
+  }
+
+  return { value, errors }
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  normaliseCode,
+  validatePromotion
+}
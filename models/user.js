@@ -0,0 +1,74 @@
+const { NAME_PATTERN, PHONE_PATTERN } = require('./contact')
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MIN_PASSWORD_LENGTH = 8
+
+// Validate a sign up payload. Everyone who signs up is a parent; with
+// { withRole: true }, used when an admin creates staff accounts, a role from
+// roles must be given as well.
+// Returns { value, errors } where errors maps field names to messages.
+function validateRegistration(body, { withRole = false, roles = [] } = {}) {
+  const errors = {}
+  const value = {}
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { body: 'Registration must be a JSON object' } }
+  }
+
+  if (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim())) {
+    errors.email = 'A valid email address is required'
+  } else {
+    value.email = normaliseEmail(body.email)
+  }
+
+  if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+  } else {
+    value.password = body.password
+  }
+
+  if (typeof body.name !== 'string' || !NAME_PATTERN.test(body.name.trim())) {
+    errors.name = 'Name must contain letters only'
+  } else {
+    value.name = body.name.trim()
+  }
+
+  if (body.phone !== undefined) {
+    if (!PHONE_PATTERN.test(String(body.phone).trim())) {
+      errors.phone = 'Phone must contain 7 to 15 digits only'
+    } else {
+      value.phone = String(body.phone).trim()
+    }
+  }
+
+  if (withRole) {
+    if (!roles.includes(body.role)) {
+      errors.role = `Role must be one of ${roles.join(', ')}`
+    } else {
+      value.role = body.role
+    }
+  }
+
+  return { value, errors }
+}
+
+function normaliseEmail(email) {
+  return email.trim().toLowerCase()
+}
+
+// The parts of a user document that are safe to send back to clients
+function publicUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    phone: user.phone,
+    role: user.role
+  }
+}
+
+module.exports = {
+  validateRegistration,
+  normaliseEmail,
+  publicUser
+}
@@ -0,0 +1,32 @@
+const { validateContact } = require('./contact')
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'claimed', 'converted', 'expired']
+
+// Validate a request to join a lesson's waitlist: the parent's name and phone
+// and how many seats they want (1 by default).
+// Returns { value, errors } where errors maps field names to messages.
+function validateWaitlistEntry(body) {
+  const errors = {}
+  const value = {}
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: { body: 'Waitlist entry must be a JSON object' } }
+  }
+
+  validateContact(body, { value, errors })
+
+  if (body.quantity === undefined) {
+    value.quantity = 1
+  } else if (!Number.isInteger(body.quantity) || body.quantity < 1) {
+    errors.quantity = 'Quantity must be a positive integer'
+  } else {
+    value.quantity = body.quantity
+  }
+
+  return { value, errors }
+}
+
+module.exports = {
+  WAITLIST_STATUSES,
+  validateWaitlistEntry
+}
@@ -0,0 +1,54 @@
+const express = require('express')
+const { INTERVALS, MAX_LIMIT, parseRange } = require('../lib/analytics')
+const { requireRole } = require('../lib/auth')
+const { ValidationError } = require('../lib/errors')
+
+// Reports for the admin dashboard, mounted at /admin/analytics. Every report
+// takes ?from and ?to (YYYY-MM-DD, inclusive) and returns chart-ready JSON.
+function analyticsRoutes({ analytics }) {
+  const router = express.Router()
+
+  // Wrap a report with the shared range checks. check can add errors for the
+  // report's own query parameters.
+  function report(run, check = () => ({})) {
+    return async (req, res) => {
+      const range = parseRange(req.query)
+      const errors = { ...range.errors, ...check(req.query) }
+
+      if (Object.keys(errors).length > 0) {
+        throw new ValidationError('Some query parameters are invalid', errors, { title: 'Invalid query' })
+      }
+
+      res.status(200).json(await run(req.query, range))
+    }
+  }
+
+  router.get('/revenue', requireRole('admin'), report(
+    (query, range) => analytics.revenue({ ...range, interval: query.interval }),
+    query => query.interval !== undefined && !INTERVALS.includes(query.interval)
+      ? { interval: `must be one of ${INTERVALS.join(', ')}` }
+      : {}
+  ))
+
+  router.get('/occupancy', requireRole('admin'), report(
+    (query, range) => analytics.occupancy(range)
+  ))
+
+  router.get('/popular', requireRole('admin'), report(
+    (query, range) => analytics.popular({ ...range, limit: query.limit === undefined ? undefined : Number(query.limit) }),
+    query => {
+      const limit = Number(query.limit)
+      return query.limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)
+        ? { limit: `must be a whole number from 1 to ${MAX_LIMIT}` }
+        : {}
+    }
+  ))
+
+  router.get('/customers', requireRole('admin'), report(
+    (query, range) => analytics.customers(range)
+  ))
+
+  return router
+}
+
+module.exports = analyticsRoutes
@@ -0,0 +1,125 @@
+const express = require('express')
+const { validateMarks } = require('../models/attendance')
+const { parseObjectId } = require('../lib/ids')
+const { isDate } = require('../lib/schedule')
+const { actorFrom } = require('../lib/audit')
+const { requireRole } = require('../lib/auth')
+const { toCsv } = require('../lib/csv')
+const { logger } = require('../lib/logger')
+const { ValidationError, NotFoundError } = require('../lib/errors')
+
+// Attendance registers for lesson sessions, mounted at /lessons
+function attendanceRoutes({ db, attendance }) {
+  const router = express.Router()
+
+  const lessonNotFound = req => new NotFoundError(`No lesson found with ID: ${req.params.id}`, {
+    title: 'Lesson not found',
+    code: 'LESSON_NOT_FOUND'
+  })
+
+  // Find the lesson and check the date is one of its sessions, throwing a
+  // NotFoundError when either is wrong
+  async function findSession(req) {
+    const lessonId = parseObjectId(req.params.id)
+    const lesson = lessonId && await db.collection('lessons').findOne({ _id: lessonId })
+
+    if (!lesson) {
+      throw lessonNotFound(req)
+    }
+
+    if (!isDate(req.params.date) || !attendance.isSession(lesson, req.params.date)) {
+      throw new NotFoundError(`"${lesson.subject}" has no session on ${req.params.date} to take a register for`, {
+        title: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      })
+    }
+
+    return lesson
+  }
+
+  router.get('/:id/sessions/:date/attendance', requireRole('admin', 'tutor'), async (req, res) => {
+    const lesson = await findSession(req)
+
+    res.status(200).json(await attendance.session(lesson, req.params.date))
+  })
+
+  router.put('/:id/sessions/:date/attendance', requireRole('admin', 'tutor'), async (req, res) => {
+    const lesson = await findSession(req)
+
+    const { value, errors } = validateMarks(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Each mark needs a childId and a status of present, absent or late', errors, {
+        title: 'Invalid attendance'
+      })
+    }
+
+    const result = await attendance.mark(lesson, req.params.date, value.marks, actorFrom(req))
+
+    if (result.errors) {
+      throw new ValidationError('Some children are not booked on this lesson', result.errors, {
+        title: 'Invalid attendance',
+        code: 'CHILD_NOT_BOOKED'
+      })
+    }
+
+    logger.info('Marked attendance', { lessonId: lesson._id, date: req.params.date, marked: result.marked })
+
+    res.status(200).json(await attendance.session(lesson, req.params.date))
+  })
+
+  // The lesson's whole register with per-child and per-session totals.
+  // ?format=csv downloads it as a spreadsheet laid out like a paper register.
+  router.get('/:id/attendance', requireRole('admin', 'tutor'), async (req, res) => {
+    const { from, to, format } = req.query
+    const errors = {}
+
+    for (const [param, value] of Object.entries({ from, to })) {
+      if (value !== undefined && !isDate(value)) {
+        errors[param] = 'must be a YYYY-MM-DD date'
+      }
+    }
+    if (format !== undefined && !['json', 'csv'].includes(format)) {
+      errors.format = 'must be json or csv'
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Some query parameters are invalid', errors, { title: 'Invalid query' })
+    }
+
+    const lessonId = parseObjectId(req.params.id)
+    const lesson = lessonId && await db.collection('lessons').findOne({ _id: lessonId })
+
+    if (!lesson) {
+      throw lessonNotFound(req)
+    }
+
+    const register = await attendance.register(lesson, { from, to })
+
+    if (format !== 'csv') {
+      return res.status(200).json(register)
+    }
+
+    const dates = register.sessions.map(session => session.date)
+    const csv = toCsv(
+      ['Child', ...dates, 'Present', 'Late', 'Absent', 'Attendance %'],
+      register.children.map(child => [
+        child.name,
+        ...dates.map(date => child.marks[date] || ''),
+        child.summary.present,
+        child.summary.late,
+        child.summary.absent,
+        child.summary.attendanceRate
+      ])
+    )
+
+    res.status(200)
+      .type('text/csv')
+      .attachment(`attendance-${lesson._id}.csv`)
+      .send(csv)
+  })
+
+  return router
+}
+
+module.exports = attendanceRoutes
@@ -0,0 +1,43 @@
+const express = require('express')
+const { AUDIT_ENTITIES } = require('../lib/audit')
+const { parseObjectId } = require('../lib/ids')
+const { parseListQuery, setPaginationHeaders } = require('../lib/pagination')
+const { requireRole } = require('../lib/auth')
+const { ValidationError } = require('../lib/errors')
+
+// Browse the audit log, mounted at /admin/audit. ?entity=lesson|order
+// narrows it to one kind, and adding &id= to one lesson or order.
+function auditRoutes({ audit }) {
+  const router = express.Router()
+
+  router.get('/', requireRole('admin'), async (req, res) => {
+    const { entity, id } = req.query
+    // Entries made in the same millisecond still come out newest first
+    const list = parseListQuery(req.query, { sortFields: ['at', '_id'], defaultSort: '-at,-_id' })
+    const errors = { ...list.errors }
+
+    if (entity !== undefined && !AUDIT_ENTITIES.includes(entity)) {
+      errors.entity = `must be one of ${AUDIT_ENTITIES.join(', ')}`
+    }
+
+    const entityId = id !== undefined ? parseObjectId(id) : null
+    if (id !== undefined && !entityId) {
+      errors.id = 'must be a valid ID'
+    } else if (id !== undefined && entity === undefined) {
+      errors.entity = 'is required with id'
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Some query parameters are invalid', errors, { title: 'Invalid query' })
+    }
+
+    const { entries, total } = await audit.history({ entity, entityId, sort: list.sort, skip: list.skip, limit: list.limit })
+
+    setPaginationHeaders(req, res, { page: list.page, limit: list.limit, total })
+    res.status(200).json(entries)
+  })
+
+  return router
+}
+
+module.exports = auditRoutes
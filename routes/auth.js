@@ -0,0 +1,119 @@
+const express = require('express')
+const { validateRegistration, normaliseEmail, publicUser } = require('../models/user')
+const { parseObjectId } = require('../lib/ids')
+const { ROLES, hashPassword, verifyPassword, issueToken, requireRole } = require('../lib/auth')
+const { logger } = require('../lib/logger')
+const { ValidationError, UnauthorizedError, ConflictError } = require('../lib/errors')
+
+// Sign up, sign in and the current user, mounted at /auth
+function authRoutes({ db, config }) {
+  const router = express.Router()
+
+  const emailTaken = () => new ConflictError('An account already exists for this email', {
+    title: 'Email already registered',
+    code: 'EMAIL_TAKEN'
+  })
+
+  // Store a new account. Resolves to the user, or null if the email is taken.
+  async function createUser({ email, password, name, phone }, role) {
+    const usersCollection = db.collection('users')
+
+    if (await usersCollection.findOne({ email })) {
+      return null
+    }
+
+    const user = {
+      email,
+      passwordHash: await hashPassword(password),
+      name,
+      phone,
+      role,
+      createdAt: new Date()
+    }
+
+    try {
+      await usersCollection.insertOne(user)
+    } catch (error) {
+      // Two sign ups for the same email can race past the findOne above
+      if (error.code === 11000) {
+        return null
+      }
+      throw error
+    }
+
+    logger.info('Created user', { userId: user._id, role })
+    return user
+  }
+
+  router.post('/register', async (req, res) => {
+    const { value, errors } = validateRegistration(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Registration data failed validation', errors, { title: 'Invalid registration' })
+    }
+
+    const user = await createUser(value, 'parent')
+
+    if (!user) {
+      throw emailTaken()
+    }
+
+    res.status(201).json({
+      token: issueToken(user, config.jwtSecret),
+      user: publicUser(user)
+    })
+  })
+
+  // Admins create staff accounts such as tutors
+  router.post('/users', requireRole('admin'), async (req, res) => {
+    const { value, errors } = validateRegistration(req.body, { withRole: true, roles: ROLES })
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('User data failed validation', errors, { title: 'Invalid user' })
+    }
+
+    const user = await createUser(value, value.role)
+
+    if (!user) {
+      throw emailTaken()
+    }
+
+    res.status(201).json(publicUser(user))
+  })
+
+  router.post('/login', async (req, res) => {
+    const { email, password } = req.body || {}
+
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      throw new ValidationError('Login requires email and password', null, {
+        title: 'Missing credentials',
+        code: 'MISSING_CREDENTIALS'
+      })
+    }
+
+    const user = await db.collection('users').findOne({ email: normaliseEmail(email) })
+
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      throw new UnauthorizedError('Email or password is incorrect', { code: 'INVALID_CREDENTIALS' })
+    }
+
+    res.status(200).json({
+      token: issueToken(user, config.jwtSecret),
+      user: publicUser(user)
+    })
+  })
+
+  router.get('/me', requireRole(), async (req, res) => {
+    const user = await db.collection('users').findOne({ _id: parseObjectId(req.user.id) })
+
+    if (!user) {
+      throw new UnauthorizedError('This account no longer exists', { code: 'ACCOUNT_NOT_FOUND' })
+    }
+
+    res.status(200).json(publicUser(user))
+  })
+
+  return router
+}
+
+module.exports = authRoutes
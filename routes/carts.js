@@ -0,0 +1,105 @@
+const express = require('express')
+const { validateCartItem } = require('../models/cart')
+const { parseObjectId } = require('../lib/ids')
+const { logger } = require('../lib/logger')
+const { ValidationError, NotFoundError, ConflictError } = require('../lib/errors')
+
+// Carts that hold seats before checkout, mounted at /carts
+function cartRoutes({ db, carts }) {
+  const router = express.Router()
+
+  const cartView = cart => ({
+    id: cart._id,
+    status: cart.status,
+    expiresAt: cart.expiresAt,
+    items: carts.lines(cart)
+  })
+
+  const cartNotFound = req => new NotFoundError(`No active cart found with ID: ${req.params.id}`, {
+    title: 'Cart not found',
+    code: 'CART_NOT_FOUND'
+  })
+
+  // Someone else's cart is reported as not found, so ids can't be probed
+  const userIdOf = req => req.user && req.user.id
+
+  router.post('/', async (req, res) => {
+    const cart = await carts.create(req.user && req.user.id)
+
+    res.status(201).json(cartView(cart))
+  })
+
+  router.get('/:id', async (req, res) => {
+    const cartId = parseObjectId(req.params.id)
+    const cart = cartId && await carts.get(cartId, userIdOf(req))
+
+    if (!cart) {
+      throw cartNotFound(req)
+    }
+
+    res.status(200).json(cartView(cart))
+  })
+
+  router.post('/:id/items', async (req, res) => {
+    const cartId = parseObjectId(req.params.id)
+    const { value: item, errors } = validateCartItem(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Cart item must include a valid lessonId and quantity', errors, { title: 'Invalid cart item' })
+    }
+
+    if (!cartId || !await carts.get(cartId, userIdOf(req))) {
+      throw cartNotFound(req)
+    }
+
+    const lesson = await db.collection('lessons').findOne({ _id: parseObjectId(item.lessonId) })
+
+    if (!lesson) {
+      throw new NotFoundError(`No lesson found with ID: ${item.lessonId}`, { title: 'Lesson not found', code: 'LESSON_NOT_FOUND' })
+    }
+
+    logger.info('Holding seats in cart', { cartId: req.params.id, lessonId: lesson._id, quantity: item.quantity })
+
+    const result = await carts.addItem(cartId, item, userIdOf(req))
+
+    if (result.shortage) {
+      throw new ConflictError(`"${lesson.subject}" does not have enough spaces left`, {
+        title: 'Not enough spaces',
+        code: 'NOT_ENOUGH_SPACES',
+        details: { lessons: [{ ...result.shortage, subject: lesson.subject }] }
+      })
+    }
+
+    if (result.cartUnavailable) {
+      throw cartNotFound(req)
+    }
+
+    res.status(200).json(cartView(result.cart))
+  })
+
+  router.delete('/:id/items/:lessonId', async (req, res) => {
+    const cartId = parseObjectId(req.params.id)
+    const cart = cartId && await carts.removeItem(cartId, req.params.lessonId, userIdOf(req))
+
+    if (!cart) {
+      throw cartNotFound(req)
+    }
+
+    res.status(200).json(cartView(cart))
+  })
+
+  router.delete('/:id', async (req, res) => {
+    const cartId = parseObjectId(req.params.id)
+    const cart = cartId && await carts.abandon(cartId, userIdOf(req))
+
+    if (!cart) {
+      throw cartNotFound(req)
+    }
+
+    res.status(200).json(cartView(cart))
+  })
+
+  return router
+}
+
+module.exports = cartRoutes
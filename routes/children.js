@@ -0,0 +1,136 @@
+const express = require('express')
+const { validateChild } = require('../models/child')
+const { parseObjectId } = require('../lib/ids')
+const { requireRole } = require('../lib/auth')
+const { ACTIVE_ORDERS } = require('../lib/bookings')
+const { logger } = require('../lib/logger')
+const { ValidationError, NotFoundError, ConflictError } = require('../lib/errors')
+
+// Children on a parent's account, mounted at /children
+function childRoutes({ db, attendance }) {
+  const router = express.Router()
+
+  // Parents can only reach their own children; anyone else's look missing
+  function ownershipFilter(req) {
+    return req.user.role === 'admin' ? {} : { parentId: req.user.id }
+  }
+
+  const childNotFound = req => new NotFoundError(`No child found with ID: ${req.params.id}`, {
+    title: 'Child not found',
+    code: 'CHILD_NOT_FOUND'
+  })
+
+  router.get('/', requireRole('admin', 'parent'), async (req, res) => {
+    const filter = ownershipFilter(req)
+    if (req.user.role === 'admin' && typeof req.query.parentId === 'string') {
+      filter.parentId = req.query.parentId
+    }
+
+    const children = await db.collection('children').find(filter).sort({ name: 1 }).toArray()
+
+    res.status(200).json(children)
+  })
+
+  router.post('/', requireRole('parent'), async (req, res) => {
+    const { value: child, errors } = validateChild(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Child data failed validation', errors, { title: 'Invalid child' })
+    }
+
+    child.parentId = req.user.id
+    child.createdAt = new Date()
+
+    await db.collection('children').insertOne(child)
+
+    logger.info('Added child', { childId: child._id, parentId: req.user.id })
+
+    res.status(201).json(child)
+  })
+
+  router.get('/:id', requireRole('admin', 'parent'), async (req, res) => {
+    const childId = parseObjectId(req.params.id)
+    const child = childId && await db.collection('children').findOne({ ...ownershipFilter(req), _id: childId })
+
+    if (!child) {
+      throw childNotFound(req)
+    }
+
+    res.status(200).json(child)
+  })
+
+  // How often the child has turned up, per lesson. Tutors can see any child.
+  router.get('/:id/attendance', requireRole('admin', 'tutor', 'parent'), async (req, res) => {
+    const childId = parseObjectId(req.params.id)
+    const filter = req.user.role === 'tutor' ? {} : ownershipFilter(req)
+    const child = childId && await db.collection('children').findOne({ ...filter, _id: childId })
+
+    if (!child) {
+      throw childNotFound(req)
+    }
+
+    res.status(200).json({ name: child.name, ...await attendance.forChild(childId) })
+  })
+
+  router.put('/:id', requireRole('admin', 'parent'), async (req, res) => {
+    const childId = parseObjectId(req.params.id)
+
+    if (!childId) {
+      throw childNotFound(req)
+    }
+
+    const { value: changes, errors } = validateChild(req.body, { partial: true })
+
+    if (Object.keys(errors).length > 0 || Object.keys(changes).length === 0) {
+      throw new ValidationError(
+        'Child update failed validation',
+        Object.keys(errors).length > 0 ? errors : { body: 'must contain fields to update' },
+        { title: 'Invalid child' }
+      )
+    }
+
+    const child = await db.collection('children').findOneAndUpdate(
+      { ...ownershipFilter(req), _id: childId },
+      { $set: { ...changes, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    )
+
+    if (!child) {
+      throw childNotFound(req)
+    }
+
+    res.status(200).json(child)
+  })
+
+  router.delete('/:id', requireRole('admin', 'parent'), async (req, res) => {
+    const childId = parseObjectId(req.params.id)
+    const child = childId && await db.collection('children').findOne({ ...ownershipFilter(req), _id: childId })
+
+    if (!child) {
+      throw childNotFound(req)
+    }
+
+    // Tutors still need the child's notes while they are booked on a lesson
+    const bookings = await db.collection('orders').countDocuments({ ...ACTIVE_ORDERS, 'lessons.childId': req.params.id })
+
+    if (bookings > 0) {
+      throw new ConflictError(`${child.name} is booked on lessons in ${bookings} active orders. Cancel them first`, {
+        title: 'Child has bookings',
+        code: 'CHILD_HAS_BOOKINGS'
+      })
+    }
+
+    await db.collection('children').deleteOne({ _id: childId })
+
+    logger.info('Removed child', { childId: req.params.id })
+
+    res.status(200).json({
+      success: true,
+      message: 'Child removed successfully'
+    })
+  })
+
+  return router
+}
+
+module.exports = childRoutes
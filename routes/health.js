@@ -0,0 +1,43 @@
+const express = require('express')
+
+// Ping the database, resolving to true when it answers
+async function pingDatabase(db) {
+  try {
+    await db.command({ ping: 1 })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+// Liveness and readiness checks, mounted at the root
+function healthRoutes({ db, isShuttingDown }) {
+  const router = express.Router()
+
+  // Liveness: the process is up. Database status is reported but doesn't fail it.
+  router.get('/healthz', async (req, res) => {
+    res.status(200).json({
+      status: 'ok',
+      database: await pingDatabase(db) ? 'up' : 'down',
+      uptime: process.uptime()
+    })
+  })
+
+  // Readiness: only ready to take traffic while the database answers and the
+  // server isn't shutting down
+  router.get('/readyz', async (req, res) => {
+    const databaseUp = await pingDatabase(db)
+    const shuttingDown = isShuttingDown()
+    const ready = databaseUp && !shuttingDown
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      database: databaseUp ? 'up' : 'down',
+      shuttingDown
+    })
+  })
+
+  return router
+}
+
+module.exports = healthRoutes
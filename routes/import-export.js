@@ -0,0 +1,173 @@
+const express = require('express')
+const { buildLessonFilter } = require('../models/lesson')
+const { buildOrderFilter, orderStatus } = require('../models/order')
+const { parseObjectId } = require('../lib/ids')
+const { requireRole } = require('../lib/auth')
+const { parseCsv, writeCsv } = require('../lib/csv')
+const {
+  LESSON_COLUMNS,
+  MAX_IMPORT_ROWS,
+  lessonFromCsv,
+  lessonFromJson,
+  lessonToCsv,
+  planImport,
+  applyImport
+} = require('../lib/lesson-import')
+const { auditContext } = require('../lib/audit')
+const { logger } = require('../lib/logger')
+const { AppError, ValidationError } = require('../lib/errors')
+
+const ORDER_COLUMNS = [
+  'orderId', 'orderNumber', 'createdAt', 'status', 'name', 'phone', 'childName',
+  'lessonId', 'subject', 'price', 'quantity', 'lineTotal', 'orderTotal'
+]
+
+// Turn an import request body into rows of { id, body, line? }. CSV bodies
+// arrive as text; JSON bodies are a list of lessons or { lessons: [...] }.
+// Returns { rows } or { error }.
+function importRows(req) {
+  if (req.is('text/csv')) {
+    const { header, records, error } = parseCsv(typeof req.body === 'string' ? req.body : '')
+    if (error) {
+      return { error }
+    }
+    const unknown = header.filter(column => !LESSON_COLUMNS.includes(column))
+    if (unknown.length > 0) {
+      return { error: `Unknown columns: ${unknown.join(', ')}. Columns are ${LESSON_COLUMNS.join(', ')}` }
+    }
+    return { rows: records.map(({ line, values }) => ({ ...lessonFromCsv(values), line })) }
+  }
+
+  if (req.is('application/json')) {
+    const lessons = Array.isArray(req.body) ? req.body : req.body && req.body.lessons
+    if (!Array.isArray(lessons)) {
+      return { error: 'JSON imports must be a list of lessons or { "lessons": [...] }' }
+    }
+    return { rows: lessons.map(lessonFromJson) }
+  }
+
+  return { error: 'Send lessons as text/csv or application/json' }
+}
+
+// Send a CSV download a row at a time from a database cursor. Once the
+// headers are out an error can only cut the download short.
+async function streamCsv(res, filename, header, cursor, toRows) {
+  res.status(200).type('text/csv').attachment(filename)
+
+  res.on('close', () => cursor.close())
+
+  async function * rows() {
+    for await (const doc of cursor) {
+      yield * toRows(doc)
+    }
+  }
+
+  await writeCsv(res, header, rows())
+}
+
+// Bulk lesson import and CSV exports for admins, mounted at /admin
+function importExportRoutes({ db, lessonSearch, waitlist, audit }) {
+  const router = express.Router()
+
+  // Import a term's lessons in one go. Rows with an id update that lesson,
+  // rows without one create a lesson. Nothing is written unless every row is
+  // valid, and ?dryRun=true only reports what would happen.
+  router.post('/lessons/import',
+    requireRole('admin'),
+    express.text({ type: 'text/csv', limit: '1mb' }),
+    async (req, res) => {
+      const dryRun = req.query.dryRun === 'true'
+      const { rows, error } = importRows(req)
+
+      if (error) {
+        if (!req.is('text/csv') && !req.is('application/json')) {
+          throw new AppError(error, { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE', title: 'Invalid import' })
+        }
+        throw new ValidationError(error, null, { title: 'Invalid import', code: 'INVALID_IMPORT' })
+      }
+
+      if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+        throw new ValidationError(`An import must have from 1 to ${MAX_IMPORT_ROWS} lessons`, null, {
+          title: 'Invalid import',
+          code: 'INVALID_IMPORT'
+        })
+      }
+
+      const plan = await planImport(db, rows)
+      const count = action => plan.filter(row => row.action === action).length
+      const summary = {
+        rows: plan.length,
+        insert: count('insert'),
+        update: count('update'),
+        unchanged: count('unchanged'),
+        errors: count('error')
+      }
+
+      if (summary.errors > 0) {
+        throw new ValidationError(`${summary.errors} of ${summary.rows} rows failed validation, nothing was imported`, null, {
+          title: 'Invalid import',
+          code: 'INVALID_IMPORT',
+          details: { dryRun, summary, rows: plan }
+        })
+      }
+
+      if (!dryRun) {
+        const { spacesChanged } = await applyImport(db, plan, { audit, context: auditContext(req) })
+        lessonSearch.invalidate()
+
+        // Raising capacity may free seats for parents on the waitlist
+        for (const lessonId of spacesChanged) {
+          await waitlist.promote(parseObjectId(lessonId))
+        }
+
+        logger.info('Imported lessons', { inserted: summary.insert, updated: summary.update })
+      }
+
+      res.status(200).json({ dryRun, summary, rows: plan })
+    }
+  )
+
+  // Every lesson as CSV, in the same columns the import reads. Takes the
+  // same filters as GET /lessons.
+  router.get('/lessons/export', requireRole('admin'), async (req, res) => {
+    const { filter, errors } = buildLessonFilter(req.query)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Some query parameters are invalid', errors, { title: 'Invalid query' })
+    }
+
+    const cursor = db.collection('lessons').find(filter).sort({ subject: 1, _id: 1 })
+    await streamCsv(res, 'lessons.csv', LESSON_COLUMNS, cursor, lesson => [lessonToCsv(lesson)])
+  })
+
+  // Orders as CSV with one row per lesson booked. Takes the same filters as
+  // GET /orders.
+  router.get('/orders/export', requireRole('admin'), async (req, res) => {
+    const { filter, errors } = buildOrderFilter(req.query)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Some query parameters are invalid', errors, { title: 'Invalid query' })
+    }
+
+    const cursor = db.collection('orders').find(filter).sort({ createdAt: 1, _id: 1 })
+    await streamCsv(res, 'orders.csv', ORDER_COLUMNS, cursor, order => order.lessons.map(item => [
+      order._id.toString(),
+      order.orderId,
+      order.createdAt,
+      orderStatus(order),
+      order.name,
+      order.phone,
+      item.childName,
+      item.id,
+      item.subject,
+      item.price,
+      item.quantity,
+      item.lineTotal,
+      order.total
+    ]))
+  })
+
+  return router
+}
+
+module.exports = importExportRoutes
@@ -0,0 +1,416 @@
+const express = require('express')
+const multer = require('multer')
+const { validateLesson, capacityChange, buildLessonFilter, SORT_FIELDS } = require('../models/lesson')
+const { parseObjectId } = require('../lib/ids')
+const { isDate, expandSessions } = require('../lib/schedule')
+const { parseListQuery, setPaginationHeaders } = require('../lib/pagination')
+const { requireRole } = require('../lib/auth')
+const { lessonRoster } = require('../lib/bookings')
+const { ImageError } = require('../lib/images')
+const { auditContext } = require('../lib/audit')
+const { logger } = require('../lib/logger')
+const { AppError, ValidationError, NotFoundError } = require('../lib/errors')
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png']
+
+// Fields a revert leaves as they are on a lesson that still exists
+const KEPT_ON_REVERT = ['_id', 'createdAt', 'spaces', 'capacity', 'image', 'images']
+
+function unsupportedImage(message) {
+  return new AppError(message, { status: 415, code: 'UNSUPPORTED_IMAGE', title: 'Invalid image' })
+}
+
+// Lesson catalogue, mounted at /lessons
+function lessonRoutes({ db, lessonSearch, waitlist, images, maxImageBytes, audit }) {
+  const router = express.Router()
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxImageBytes, files: 1, fields: 0 }
+  }).single('image')
+
+  // Delete a lesson's uploaded image files, unless another lesson was given
+  // the same upload and still uses them
+  async function releaseImages(lesson) {
+    if (!lesson || !lesson.images) {
+      return
+    }
+    const shared = await db.collection('lessons').countDocuments({ _id: { $ne: lesson._id }, 'images.web': lesson.images.web })
+    if (shared === 0) {
+      await images.remove(lesson.images)
+    }
+  }
+
+  function lessonNotFound(id) {
+    return new NotFoundError(`No lesson found with ID: ${id}`, { title: 'Lesson not found', code: 'LESSON_NOT_FOUND' })
+  }
+
+  router.get('/', async (req, res) => {
+    logger.debug('Listing lessons')
+
+    const list = parseListQuery(req.query, { sortFields: SORT_FIELDS, defaultSort: 'subject' })
+    const { filter, errors } = buildLessonFilter(req.query)
+    Object.assign(errors, list.errors)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Some query parameters are invalid', errors, { title: 'Invalid query' })
+    }
+
+    const lessonsCollection = db.collection('lessons')
+
+    const [lessons, total] = await Promise.all([
+      lessonsCollection.find(filter).sort(list.sort).skip(list.skip).limit(list.limit).toArray(),
+      lessonsCollection.countDocuments(filter)
+    ])
+
+    logger.debug('Listed lessons', { count: lessons.length, total })
+
+    setPaginationHeaders(req, res, { page: list.page, limit: list.limit, total })
+    res.status(200).json(lessons)
+  })
+
+  router.get('/:id', async (req, res) => {
+    const lessonId = parseObjectId(req.params.id)
+    const lesson = lessonId && await db.collection('lessons').findOne({ _id: lessonId })
+
+    if (!lesson) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    res.status(200).json(lesson)
+  })
+
+  router.get('/:id/sessions', async (req, res) => {
+    const { from, to } = req.query
+    const errors = {}
+
+    for (const [param, value] of Object.entries({ from, to })) {
+      if (value !== undefined && !isDate(value)) {
+        errors[param] = 'must be a YYYY-MM-DD date'
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Some query parameters are invalid', errors, { title: 'Invalid query' })
+    }
+
+    const lessonId = parseObjectId(req.params.id)
+    const lesson = lessonId && await db.collection('lessons').findOne({ _id: lessonId })
+
+    if (!lesson) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    res.status(200).json({
+      lessonId: lesson._id,
+      subject: lesson.subject,
+      schedule: lesson.schedule || null,
+      sessions: expandSessions(lesson.schedule, { from, to })
+    })
+  })
+
+  // Who is coming to a lesson, with the notes tutors need on the day
+  router.get('/:id/roster', requireRole('admin', 'tutor'), async (req, res) => {
+    const lessonId = parseObjectId(req.params.id)
+    const lesson = lessonId && await db.collection('lessons').findOne({ _id: lessonId })
+
+    if (!lesson) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    const { children, unnamed } = await lessonRoster(db, lessonId)
+
+    res.status(200).json({
+      lessonId: lesson._id,
+      subject: lesson.subject,
+      location: lesson.location,
+      schedule: lesson.schedule || null,
+      children,
+      unnamed,
+      totalBooked: children.length + unnamed.reduce((sum, booking) => sum + booking.quantity, 0)
+    })
+  })
+
+  // Upload a new picture for a lesson as multipart form data in an "image"
+  // field. The lesson's image becomes the resized web version and the files
+  // of the picture it replaces are deleted.
+  router.post('/:id/image', requireRole('admin'), async (req, res) => {
+    const lessonId = parseObjectId(req.params.id)
+    const lesson = lessonId && await db.collection('lessons').findOne({ _id: lessonId })
+
+    if (!lesson) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    try {
+      await new Promise((resolve, reject) => upload(req, res, error => error ? reject(error) : resolve()))
+    } catch (error) {
+      if (!(error instanceof multer.MulterError)) {
+        throw error
+      }
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        throw new AppError(`Image must be at most ${maxImageBytes} bytes`, { status: 413, code: 'IMAGE_TOO_LARGE', title: 'Invalid image' })
+      }
+      throw new ValidationError('Send one file in an "image" form field', null, { title: 'Invalid image', code: 'INVALID_IMAGE' })
+    }
+
+    if (!req.file) {
+      throw new ValidationError('Send the file in an "image" form field', null, { title: 'Invalid image', code: 'INVALID_IMAGE' })
+    }
+    if (!IMAGE_TYPES.includes(req.file.mimetype)) {
+      throw unsupportedImage('Image must be a PNG or JPEG file')
+    }
+
+    let saved
+    try {
+      saved = await images.save(req.file.buffer)
+    } catch (error) {
+      if (!(error instanceof ImageError)) {
+        throw error
+      }
+      throw unsupportedImage(error.message)
+    }
+
+    const before = await db.collection('lessons').findOneAndUpdate(
+      { _id: lessonId },
+      { $set: { image: saved.web, images: saved } },
+      { returnDocument: 'before' }
+    )
+
+    // Deleted while the picture was being resized, so nothing uses the files
+    if (!before) {
+      await releaseImages({ _id: lessonId, images: saved })
+      throw lessonNotFound(req.params.id)
+    }
+
+    await audit.record({
+      entity: 'lesson',
+      entityId: lessonId,
+      action: 'update',
+      before,
+      after: { ...before, image: saved.web, images: saved }
+    }, auditContext(req))
+
+    if (!before.images || before.images.web !== saved.web) {
+      await releaseImages(before)
+    }
+
+    logger.info('Uploaded lesson image', { lessonId: req.params.id, image: saved.web })
+    lessonSearch.invalidate()
+
+    res.status(200).json({ ...lesson, image: saved.web, images: saved })
+  })
+
+  router.post('/', requireRole('admin'), async (req, res) => {
+    logger.debug('Creating lesson')
+
+    const { value: lesson, errors } = validateLesson(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Lesson data failed validation', errors, { title: 'Invalid lesson' })
+    }
+
+    lesson.capacity = lesson.spaces
+    lesson.createdAt = new Date()
+
+    const result = await db.collection('lessons').insertOne(lesson)
+
+    logger.info('Lesson created', { lessonId: result.insertedId })
+    await audit.record({ entity: 'lesson', entityId: result.insertedId, action: 'create', after: lesson }, auditContext(req))
+    lessonSearch.invalidate()
+
+    res.status(201).json(lesson)
+  })
+
+  router.put('/:id', requireRole('admin'), async (req, res) => {
+    const lessonId = parseObjectId(req.params.id)
+
+    // Get update data from request body
+    const updateData = req.body
+
+    logger.debug('Updating lesson', { lessonId: req.params.id, fields: Object.keys(updateData || {}) })
+
+    if (!lessonId) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    // Validate that we have data to update
+    if (!updateData || Object.keys(updateData).length === 0) {
+      throw new ValidationError('Request body must contain fields to update', null, { title: 'No update data provided', code: 'EMPTY_UPDATE' })
+    }
+
+    const { value: changes, errors } = validateLesson(updateData, { partial: true })
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Lesson update failed validation', errors, { title: 'Invalid lesson' })
+    }
+
+    // Get the lessons collection
+    const lessonsCollection = db.collection('lessons')
+
+    const before = await lessonsCollection.findOne({ _id: lessonId })
+
+    if (!before) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    // Pointing image at another file drops the uploaded one
+    const update = { $set: { ...changes, ...capacityChange(before, changes) } }
+    if (changes.image !== undefined && before.images && changes.image !== before.image) {
+      update.$unset = { images: '' }
+    }
+
+    // Update the lesson by ID
+    const result = await lessonsCollection.updateOne({ _id: lessonId }, update)
+
+    // Check if lesson was found and updated
+    if (result.matchedCount === 0) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    if (result.modifiedCount === 0) {
+      return res.status(200).json({
+        message: 'No changes made to lesson',
+        lessonId: req.params.id
+      })
+    }
+
+    logger.info('Lesson updated', { lessonId: req.params.id, fields: Object.keys(changes) })
+    lessonSearch.invalidate()
+
+    const after = await lessonsCollection.findOne({ _id: lessonId })
+    await audit.record({ entity: 'lesson', entityId: lessonId, action: 'update', before, after }, auditContext(req))
+
+    if (update.$unset) {
+      await releaseImages(before)
+    }
+
+    // Raising capacity may free seats for parents on the waitlist
+    if (changes.spaces !== undefined) {
+      await waitlist.promote(lessonId)
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      message: 'Lesson updated successfully',
+      modifiedCount: result.modifiedCount
+    })
+  })
+
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    const lessonId = parseObjectId(req.params.id)
+    const lesson = lessonId && await db.collection('lessons').findOneAndDelete({ _id: lessonId })
+
+    if (!lesson) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    logger.info('Lesson deleted', { lessonId: req.params.id })
+    lessonSearch.invalidate()
+    await audit.record({ entity: 'lesson', entityId: lessonId, action: 'delete', before: lesson }, auditContext(req))
+    await releaseImages(lesson)
+
+    res.status(200).json({
+      success: true,
+      message: 'Lesson deleted successfully'
+    })
+  })
+
+  // Put a lesson back to how an audit entry left it, with { auditId, reason }.
+  // spaces and the picture stay as they are now: bookings have moved the
+  // seats on since, and the old picture's files may be gone. A deleted
+  // lesson has neither, so bringing one back also needs { spaces, image }.
+  router.post('/:id/revert', requireRole('admin'), async (req, res) => {
+    const lessonId = parseObjectId(req.params.id)
+    const { auditId, reason, spaces, image } = req.body || {}
+    const entryId = typeof auditId === 'string' && parseObjectId(auditId)
+
+    if (!lessonId) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    if (!entryId || (reason !== undefined && typeof reason !== 'string')) {
+      throw new ValidationError(
+        'Revert needs the auditId of the version to go back to',
+        entryId ? { reason: 'must be a string' } : { auditId: 'must be an audit entry ID' },
+        { title: 'Invalid revert' }
+      )
+    }
+
+    const entry = await audit.findEntry(entryId)
+
+    if (!entry || entry.entity !== 'lesson' || !entry.entityId.equals(lessonId)) {
+      throw new NotFoundError(`No audit entry ${auditId} found for lesson ${req.params.id}`, {
+        title: 'Audit entry not found',
+        code: 'AUDIT_ENTRY_NOT_FOUND'
+      })
+    }
+
+    if (!entry.after) {
+      throw new ValidationError('That entry deleted the lesson, pick an earlier version', { auditId: 'has no version to go back to' }, {
+        title: 'Invalid revert'
+      })
+    }
+
+    const lessonsCollection = db.collection('lessons')
+    const before = await lessonsCollection.findOne({ _id: lessonId })
+    let after
+
+    const version = Object.fromEntries(Object.entries(entry.after).filter(([field]) => !KEPT_ON_REVERT.includes(field)))
+
+    if (before && (spaces !== undefined || image !== undefined)) {
+      const message = 'can only be given when bringing back a deleted lesson'
+      throw new ValidationError('Change spaces and image with PUT /lessons/:id', {
+        ...(spaces !== undefined && { spaces: message }),
+        ...(image !== undefined && { image: message })
+      }, { title: 'Invalid revert' })
+    }
+
+    if (before) {
+      const update = { $set: version }
+      const dropped = Object.keys(before).filter(field => !KEPT_ON_REVERT.includes(field) && version[field] === undefined)
+      if (dropped.length > 0) {
+        update.$unset = Object.fromEntries(dropped.map(field => [field, '']))
+      }
+
+      after = await lessonsCollection.findOneAndUpdate({ _id: lessonId }, update, { returnDocument: 'after' })
+    } else {
+      const { value: current, errors } = validateLesson({ spaces, image }, { partial: true })
+      for (const field of ['spaces', 'image']) {
+        if (current[field] === undefined && !errors[field]) {
+          errors[field] = 'is required to bring back a deleted lesson'
+        }
+      }
+
+      if (Object.keys(errors).length > 0) {
+        throw new ValidationError('Bringing back a deleted lesson needs its spaces and image now', errors, { title: 'Invalid revert' })
+      }
+
+      after = { _id: lessonId, ...version, ...current }
+      if (entry.after.createdAt) {
+        after.createdAt = entry.after.createdAt
+      }
+      await lessonsCollection.insertOne(after)
+    }
+
+    if (!after) {
+      throw lessonNotFound(req.params.id)
+    }
+
+    logger.info('Lesson reverted', { lessonId: req.params.id, auditId })
+    lessonSearch.invalidate()
+    await audit.record({ entity: 'lesson', entityId: lessonId, action: 'revert', before, after, revertedFrom: entryId }, auditContext(req, reason))
+
+    // Parents may still be queued for a lesson that was deleted
+    if (!before) {
+      await waitlist.promote(lessonId)
+    }
+
+    res.status(200).json(after)
+  })
+
+  return router
+}
+
+module.exports = lessonRoutes
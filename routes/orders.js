@@ -0,0 +1,494 @@
+const express = require('express')
+const { ObjectId } = require('mongodb')
+const { ORDER_STATUSES, validateOrder, validateQuote, buildOrderFilter, SORT_FIELDS } = require('../models/order')
+const { parseObjectId } = require('../lib/ids')
+const { transitionOrder } = require('../lib/order-lifecycle')
+const { actorFrom, auditContext } = require('../lib/audit')
+const { parseListQuery, setPaginationHeaders } = require('../lib/pagination')
+const { reserveLessonSpaces, releaseLessonSpaces } = require('../lib/reservations')
+const { requireRole } = require('../lib/auth')
+const { findClashes } = require('../lib/schedule')
+const { bookedLessonsByChild } = require('../lib/bookings')
+const { ageOn } = require('../models/child')
+const { logger } = require('../lib/logger')
+const { ValidationError, UnauthorizedError, NotFoundError, ConflictError } = require('../lib/errors')
+
+// Split an order's lessons into the seats still to reserve and the seats a
+// waitlist offer already holds. Returns { toReserve, offerQuantity }.
+function subtractOffer(lessons, offer) {
+  const toReserve = lessons.map(lesson => ({ id: lesson.id, quantity: lesson.quantity }))
+
+  if (!offer) {
+    return { toReserve, offerQuantity: 0 }
+  }
+
+  let remaining = offer.quantity
+  for (const lesson of toReserve) {
+    if (lesson.id === offer.lessonId.toString()) {
+      const fromOffer = Math.min(remaining, lesson.quantity)
+      lesson.quantity -= fromOffer
+      remaining -= fromOffer
+    }
+  }
+
+  return {
+    toReserve: toReserve.filter(lesson => lesson.quantity > 0),
+    offerQuantity: offer.quantity - remaining
+  }
+}
+
+// Check the lines booked for named children: each child has to be in the
+// lesson's age range when its term starts, and can't be booked on the same
+// lesson twice. Returns field errors keyed like the order's lessons.
+function childBookingErrors(orderLessons, lessonsById, childrenById, bookedByChild) {
+  const errors = {}
+  const today = new Date().toISOString().slice(0, 10)
+  const seen = new Set()
+
+  orderLessons.forEach((item, index) => {
+    const lesson = lessonsById.get(item.id)
+    if (!item.childId || !lesson) {
+      return
+    }
+
+    const path = `lessons[${index}].childId`
+    const child = childrenById.get(item.childId)
+
+    if (!child) {
+      errors[path] = `No child found with ID: ${item.childId}`
+      return
+    }
+
+    const key = `${item.childId}:${item.id}`
+    if (seen.has(key) || bookedByChild.get(item.childId).includes(item.id)) {
+      errors[path] = `${child.name} is already booked on ${lesson.subject}`
+      return
+    }
+    seen.add(key)
+
+    const startsOn = lesson.schedule && lesson.schedule.termStart > today ? lesson.schedule.termStart : today
+    const age = ageOn(child.dateOfBirth, startsOn)
+
+    if ((lesson.minAge !== undefined && age < lesson.minAge) || (lesson.maxAge !== undefined && age > lesson.maxAge)) {
+      errors[path] = `${child.name} will be ${age}, ${lesson.subject} is for ages ${lesson.minAge ?? 0} to ${lesson.maxAge ?? 'any'}`
+    }
+  })
+
+  return errors
+}
+
+// Lessons in an order that would overlap for whoever attends them. Lines
+// without a child are checked against each other. Each child's lines are
+// checked against each other and against the lessons the child is already
+// booked on, and those clashes name the child.
+function findBookingClashes(orderLessons, lessonsById, childrenById, bookedByChild) {
+  const unnamed = new Set()
+  const byChild = new Map()
+
+  for (const item of orderLessons) {
+    if (item.childId) {
+      byChild.set(item.childId, (byChild.get(item.childId) || new Set()).add(item.id))
+    } else {
+      unnamed.add(item.id)
+    }
+  }
+
+  const clashes = findClashes([...unnamed].map(id => lessonsById.get(id)))
+
+  for (const [childId, lessonIds] of byChild) {
+    const child = childrenById.get(childId)
+    const booked = bookedByChild.get(childId)
+    const lessons = [...lessonIds, ...booked].map(id => lessonsById.get(id)).filter(Boolean)
+
+    for (const clash of findClashes(lessons)) {
+      // Clashes between lessons the child was already booked on were
+      // accepted with that earlier order
+      if (clash.lessons.some(lesson => lessonIds.has(lesson.id))) {
+        clashes.push({ childId, childName: child.name, ...clash })
+      }
+    }
+  }
+
+  return clashes
+}
+
+// Checkout and order history, mounted at /orders
+function orderRoutes({ db, waitlist, carts, idempotency, pricing, notifications, audit }) {
+  const router = express.Router()
+
+  // Parents can only reach their own orders; anyone else's look missing
+  function ownershipFilter(req) {
+    return req.user.role === 'admin' ? {} : { userId: req.user.id }
+  }
+
+  // Parents can only book their own children; admins can book any child
+  function childOwnershipFilter(req) {
+    return req.user.role === 'admin' ? {} : { parentId: req.user.id }
+  }
+
+  const orderNotFound = req => new NotFoundError(`No order found with ID: ${req.params.id}`, {
+    title: 'Order not found',
+    code: 'ORDER_NOT_FOUND'
+  })
+
+  // Reply to a status change, first auditing it, offering any seats it freed
+  // to the lessons' waitlists, handing back a cancelled order's promo code use
+  // and telling the parent about the cancellation
+  async function sendTransitionResult(req, res, status, result, reason) {
+    if (result.notFound) {
+      throw orderNotFound(req)
+    }
+
+    if (result.conflict) {
+      throw new ConflictError(`Order is ${result.conflict} and can't be moved to ${status}`, {
+        title: 'Invalid status change',
+        code: 'INVALID_STATUS_CHANGE',
+        details: { status: result.conflict }
+      })
+    }
+
+    await audit.record({
+      entity: 'order',
+      entityId: result.order._id,
+      action: 'status',
+      before: result.previous,
+      after: result.order,
+      lessonIds: result.releasedLessonIds
+    }, auditContext(req, reason))
+
+    for (const lessonId of result.releasedLessonIds) {
+      await waitlist.promote(parseObjectId(lessonId))
+    }
+
+    if (status === 'cancelled') {
+      if (result.order.promotionId) {
+        await pricing.release(result.order.promotionId)
+      }
+      await notifications.orderCancelled(result.order)
+    }
+
+    res.status(200).json(result.order)
+  }
+
+  // Retries sent with the same Idempotency-Key get the first response back
+  // rather than placing a second order
+  router.post('/', idempotency.guard(), async (req, res) => {
+    logger.debug('Creating order')
+
+    const { value: orderData, errors } = validateOrder(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Order must include a valid name, phone, and lessons or a cart', errors, { title: 'Invalid order' })
+    }
+
+    // Seats held by a cart or offered from a waitlist are already taken off
+    // the lesson. Claim them first, and hand them back if the order fails.
+    let cart = null
+    let offer = null
+    let redeemed = null
+
+    const restoreHolds = async () => {
+      if (cart) {
+        await carts.restore(cart)
+      }
+      if (offer) {
+        await waitlist.restore(offer)
+      }
+      if (redeemed) {
+        await pricing.release(redeemed._id)
+      }
+    }
+
+    if (orderData.cartId) {
+      const cartId = parseObjectId(orderData.cartId)
+      const userId = req.user && req.user.id
+
+      if (!cartId || !await carts.get(cartId, userId)) {
+        throw new NotFoundError(`No cart found with ID: ${orderData.cartId}`, { title: 'Cart not found', code: 'CART_NOT_FOUND' })
+      }
+
+      cart = await carts.claim(cartId, userId)
+
+      if (!cart) {
+        throw new ConflictError('This cart has expired or has already been checked out', {
+          title: 'Cart unavailable',
+          code: 'CART_UNAVAILABLE'
+        })
+      }
+
+      orderData.lessons = carts.lines(cart)
+
+      if (orderData.lessons.length === 0) {
+        await restoreHolds()
+        throw new ValidationError('Cart is empty', { cartId: 'Cart has no lessons in it' }, {
+          title: 'Invalid order',
+          code: 'CART_EMPTY'
+        })
+      }
+    }
+
+    if (orderData.waitlistEntryId) {
+      offer = await waitlist.claim(parseObjectId(orderData.waitlistEntryId), orderData.phone)
+
+      if (!offer || !orderData.lessons.some(lesson => lesson.id === offer.lessonId.toString())) {
+        await restoreHolds()
+        throw new ConflictError('This waitlist offer has expired, was already used, or is not for a lesson in this order', {
+          title: 'Waitlist offer unavailable',
+          code: 'WAITLIST_OFFER_UNAVAILABLE'
+        })
+      }
+    }
+
+    // Lines booked for a named child need a signed in parent who owns them
+    const childIds = [...new Set(orderData.lessons.filter(lesson => lesson.childId).map(lesson => lesson.childId))]
+    let childrenById = new Map()
+    let bookedByChild = new Map()
+
+    if (childIds.length > 0) {
+      if (!req.user) {
+        await restoreHolds()
+        throw new UnauthorizedError('You must be signed in to book lessons for a child')
+      }
+
+      const children = await db.collection('children')
+        .find({ ...childOwnershipFilter(req), _id: { $in: childIds.map(id => new ObjectId(id)) } })
+        .toArray()
+      childrenById = new Map(children.map(child => [child._id.toString(), child]))
+      bookedByChild = await bookedLessonsByChild(db, childIds)
+    }
+
+    // Also load the lessons the children are already booked on, to check
+    // the new ones against
+    const bookedIds = [...bookedByChild.values()].flat()
+    const lessonIds = [...new Set([...orderData.lessons.map(lesson => lesson.id), ...bookedIds])]
+    const lessonsInDb = await db.collection('lessons')
+      .find({ _id: { $in: lessonIds.map(id => new ObjectId(id)) } })
+      .toArray()
+    const lessonsById = new Map(lessonsInDb.map(lesson => [lesson._id.toString(), lesson]))
+
+    const priced = await pricing.price(orderData.lessons, lessonsInDb, { promoCode: orderData.promoCode })
+    const bookingErrors = { ...priced.errors, ...childBookingErrors(orderData.lessons, lessonsById, childrenById, bookedByChild) }
+
+    if (Object.keys(bookingErrors).length > 0) {
+      await restoreHolds()
+      throw new ValidationError('Some lessons in this order do not exist or can not be booked', bookingErrors, {
+        title: 'Invalid order'
+      })
+    }
+
+    for (const item of priced.items) {
+      if (item.childId) {
+        item.childName = childrenById.get(item.childId).name
+      }
+    }
+
+    const clashes = findBookingClashes(orderData.lessons, lessonsById, childrenById, bookedByChild)
+
+    if (clashes.length > 0 && !orderData.allowClashes) {
+      await restoreHolds()
+      throw new ConflictError('Some lessons in this order run at the same time. Send allowClashes: true to book them anyway', {
+        title: 'Schedule clash',
+        code: 'SCHEDULE_CLASH',
+        details: { clashes }
+      })
+    }
+
+    delete orderData.allowClashes
+    if (clashes.length > 0) {
+      orderData.scheduleClashes = clashes
+    }
+
+    orderData.lessons = priced.items
+    if (req.user) {
+      orderData.userId = req.user.id
+    }
+    orderData.subtotal = priced.subtotal
+    orderData.discounts = priced.discounts
+    orderData.total = priced.total
+    orderData.createdAt = new Date()
+    orderData.orderId = new ObjectId().toString() 
+    orderData.status = 'pending'
+    orderData.statusHistory = [{ status: 'pending', at: orderData.createdAt, actor: actorFrom(req) }]
+
+    const { toReserve, offerQuantity } = cart
+      ? { toReserve: [], offerQuantity: 0 }
+      : subtractOffer(orderData.lessons, offer)
+
+    // Count the code's use before taking seats, so a code with one use left
+    // can't go on two orders at once
+    if (orderData.promoCode) {
+      redeemed = await pricing.redeem(orderData.promoCode)
+      if (!redeemed) {
+        await restoreHolds()
+        throw new ValidationError('The promo code can no longer be used', { promoCode: `${orderData.promoCode} has been used up` }, {
+          title: 'Invalid order'
+        })
+      }
+      orderData.promotionId = redeemed._id
+    }
+
+    const reservation = await reserveLessonSpaces(db, toReserve)
+
+    if (reservation.shortages.length > 0) {
+      await restoreHolds()
+      logger.warn('Order rejected, not enough spaces', { shortages: reservation.shortages })
+      throw new ConflictError('Some lessons in this order do not have enough spaces left', {
+        title: 'Not enough spaces',
+        code: 'NOT_ENOUGH_SPACES',
+        details: { lessons: reservation.shortages }
+      })
+    }
+
+    const ordersCollection = db.collection('orders')
+
+    let result
+    try {
+      result = await ordersCollection.insertOne(orderData)
+    } catch (insertError) {
+      // The order was never stored, so hand the seats back
+      await releaseLessonSpaces(db, reservation.reserved)
+      await restoreHolds()
+      throw insertError
+    }
+
+    if (cart) {
+      await carts.complete(cart, result.insertedId)
+    }
+    if (offer) {
+      await waitlist.complete(offer, result.insertedId, offerQuantity)
+    }
+
+    logger.info('Order created', { orderId: result.insertedId, orderNumber: orderData.orderId, total: orderData.total, lessonsCount: orderData.lessons.length })
+
+    const order = { ...orderData, _id: result.insertedId }
+    await audit.record({
+      entity: 'order',
+      entityId: order._id,
+      action: 'create',
+      after: order,
+      lessonIds: [...new Set(order.lessons.map(item => item.id))]
+    }, auditContext(req))
+
+    await notifications.orderConfirmed(order)
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      orderId: result.insertedId,
+      orderNumber: orderData.orderId,
+      status: orderData.status,
+      subtotal: orderData.subtotal,
+      discounts: orderData.discounts,
+      total: orderData.total,
+      warnings: clashes.length > 0 ? { scheduleClashes: clashes } : undefined
+    })
+  })
+
+  // What an order would cost, line by line and with every discount, without
+  // placing it or holding any seats
+  router.post('/quote', async (req, res) => {
+    const { value, errors } = validateQuote(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Quote must include lessons or a cart', errors, { title: 'Invalid quote' })
+    }
+
+    let lines = value.lessons
+    if (value.cartId) {
+      const cartId = parseObjectId(value.cartId)
+      const cart = cartId && await carts.get(cartId, req.user && req.user.id)
+      if (!cart || cart.status !== 'active') {
+        throw new NotFoundError(`No active cart found with ID: ${value.cartId}`, { title: 'Cart not found', code: 'CART_NOT_FOUND' })
+      }
+      lines = carts.lines(cart)
+    }
+
+    const lessonsInDb = await db.collection('lessons')
+      .find({ _id: { $in: [...new Set(lines.map(line => line.id))].map(id => new ObjectId(id)) } })
+      .toArray()
+
+    const quote = await pricing.price(lines, lessonsInDb, { promoCode: value.promoCode })
+
+    if (quote.errors) {
+      throw new ValidationError('Some lessons do not exist or the promo code can not be used', quote.errors, { title: 'Invalid quote' })
+    }
+
+    res.status(200).json(quote)
+  })
+
+  // GET orders endpoint. Admins see every order, parents only their own.
+  router.get('/', requireRole('admin', 'parent'), async (req, res) => {
+    logger.debug('Listing orders')
+
+    const list = parseListQuery(req.query, { sortFields: SORT_FIELDS, defaultSort: '-createdAt' })
+    const { filter, errors } = buildOrderFilter(req.query)
+    Object.assign(errors, list.errors)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Some query parameters are invalid', errors, { title: 'Invalid query' })
+    }
+
+    Object.assign(filter, ownershipFilter(req))
+
+    const ordersCollection = db.collection('orders')
+
+    const [orders, total] = await Promise.all([
+      ordersCollection.find(filter).sort(list.sort).skip(list.skip).limit(list.limit).toArray(),
+      ordersCollection.countDocuments(filter)
+    ])
+
+    logger.debug('Listed orders', { count: orders.length, total })
+
+    setPaginationHeaders(req, res, { page: list.page, limit: list.limit, total })
+    res.status(200).json(orders)
+  })
+
+  router.get('/:id', requireRole('admin', 'parent'), async (req, res) => {
+    const orderId = parseObjectId(req.params.id)
+    const order = orderId && await db.collection('orders').findOne({ ...ownershipFilter(req), _id: orderId })
+
+    if (!order) {
+      throw orderNotFound(req)
+    }
+
+    res.status(200).json(order)
+  })
+
+  router.patch('/:id/status', requireRole('admin'), async (req, res) => {
+    const orderId = parseObjectId(req.params.id)
+    const { status, reason } = req.body || {}
+
+    if (!ORDER_STATUSES.includes(status) || (reason !== undefined && typeof reason !== 'string')) {
+      throw new ValidationError(
+        `status must be one of ${ORDER_STATUSES.join(', ')}`,
+        ORDER_STATUSES.includes(status) ? { reason: 'must be a string' } : { status: 'is not a valid status' },
+        { title: 'Invalid status' }
+      )
+    }
+
+    logger.info('Changing order status', { orderId: req.params.id, status })
+
+    const result = orderId
+      ? await transitionOrder(db, orderId, status, { actor: actorFrom(req), reason })
+      : { notFound: true }
+
+    await sendTransitionResult(req, res, status, result, reason)
+  })
+
+  router.post('/:id/cancel', requireRole('admin', 'parent'), async (req, res) => {
+    const orderId = parseObjectId(req.params.id)
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason : undefined
+
+    logger.info('Cancelling order', { orderId: req.params.id })
+
+    const result = orderId
+      ? await transitionOrder(db, orderId, 'cancelled', { actor: actorFrom(req), reason, filter: ownershipFilter(req) })
+      : { notFound: true }
+
+    await sendTransitionResult(req, res, 'cancelled', result, reason)
+  })
+
+  return router
+}
+
+module.exports = orderRoutes
@@ -0,0 +1,136 @@
+const express = require('express')
+const { validatePromotion } = require('../models/promotion')
+const { parseObjectId } = require('../lib/ids')
+const { requireRole } = require('../lib/auth')
+const { logger } = require('../lib/logger')
+const { ValidationError, NotFoundError, ConflictError } = require('../lib/errors')
+
+// Discount codes, mounted at /admin/promotions
+function promotionRoutes({ db }) {
+  const router = express.Router()
+
+  const promotionNotFound = req => new NotFoundError(`No promotion found with ID: ${req.params.id}`, {
+    title: 'Promotion not found',
+    code: 'PROMOTION_NOT_FOUND'
+  })
+
+  const codeTaken = code => new ConflictError(`A promotion with the code ${code} already exists`, {
+    title: 'Code already exists',
+    code: 'PROMOTION_CODE_TAKEN'
+  })
+
+  router.get('/', requireRole('admin'), async (req, res) => {
+    const promotions = await db.collection('promotions').find({}).sort({ createdAt: -1 }).toArray()
+
+    res.status(200).json(promotions)
+  })
+
+  router.post('/', requireRole('admin'), async (req, res) => {
+    const { value: promotion, errors } = validatePromotion(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Promotion data failed validation', errors, { title: 'Invalid promotion' })
+    }
+
+    if (await db.collection('promotions').findOne({ code: promotion.code })) {
+      throw codeTaken(promotion.code)
+    }
+
+    promotion.uses = 0
+    promotion.createdAt = new Date()
+
+    try {
+      await db.collection('promotions').insertOne(promotion)
+    } catch (error) {
+      // Two admins can race past the findOne above with the same code
+      if (error.code === 11000) {
+        throw codeTaken(promotion.code)
+      }
+      throw error
+    }
+
+    logger.info('Promotion created', { promotionId: promotion._id, code: promotion.code })
+
+    res.status(201).json(promotion)
+  })
+
+  router.get('/:id', requireRole('admin'), async (req, res) => {
+    const promotionId = parseObjectId(req.params.id)
+    const promotion = promotionId && await db.collection('promotions').findOne({ _id: promotionId })
+
+    if (!promotion) {
+      throw promotionNotFound(req)
+    }
+
+    res.status(200).json(promotion)
+  })
+
+  // Change a promotion, e.g. extend it or switch it off with active: false.
+  // Orders already placed keep the discount they were given, and refer to
+  // the promotion by _id so a renamed code still gets its uses back.
+  router.put('/:id', requireRole('admin'), async (req, res) => {
+    const promotionId = parseObjectId(req.params.id)
+    const existing = promotionId && await db.collection('promotions').findOne({ _id: promotionId })
+
+    if (!existing) {
+      throw promotionNotFound(req)
+    }
+
+    const { value: changes, errors } = validatePromotion(req.body, { partial: true, existing })
+
+    if (Object.keys(errors).length > 0 || Object.keys(changes).length === 0) {
+      throw new ValidationError(
+        'Promotion update failed validation',
+        Object.keys(errors).length > 0 ? errors : { body: 'must contain fields to update' },
+        { title: 'Invalid promotion' }
+      )
+    }
+
+    if (changes.code && changes.code !== existing.code && await db.collection('promotions').findOne({ code: changes.code })) {
+      throw codeTaken(changes.code)
+    }
+
+    let promotion
+    try {
+      promotion = await db.collection('promotions').findOneAndUpdate(
+        { _id: promotionId },
+        { $set: { ...changes, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      )
+    } catch (error) {
+      // Two admins can rename codes to the same one at once
+      if (error.code === 11000) {
+        throw codeTaken(changes.code)
+      }
+      throw error
+    }
+
+    if (!promotion) {
+      throw promotionNotFound(req)
+    }
+
+    logger.info('Promotion updated', { promotionId: req.params.id, fields: Object.keys(changes) })
+
+    res.status(200).json(promotion)
+  })
+
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    const promotionId = parseObjectId(req.params.id)
+    const promotion = promotionId && await db.collection('promotions').findOneAndDelete({ _id: promotionId })
+
+    if (!promotion) {
+      throw promotionNotFound(req)
+    }
+
+    logger.info('Promotion deleted', { promotionId: req.params.id, code: promotion.code })
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    })
+  })
+
+  return router
+}
+
+module.exports = promotionRoutes
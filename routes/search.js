@@ -0,0 +1,23 @@
+const express = require('express')
+const { logger } = require('../lib/logger')
+
+// Lesson search, mounted at /search
+function searchRoutes({ lessonSearch }) {
+  const router = express.Router()
+
+  router.get('/', async (req, res) => {
+    const searchTerm = typeof req.query.query === 'string' ? req.query.query : ''
+
+    logger.debug('Searching lessons', { queryLength: searchTerm.length })
+
+    const searchResults = await lessonSearch.search(searchTerm)
+
+    logger.debug('Searched lessons', { count: searchResults.length })
+
+    res.status(200).json(searchResults)
+  })
+
+  return router
+}
+
+module.exports = searchRoutes
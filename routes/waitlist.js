@@ -0,0 +1,64 @@
+const express = require('express')
+const { validateWaitlistEntry } = require('../models/waitlist')
+const { parseObjectId } = require('../lib/ids')
+const { requireRole } = require('../lib/auth')
+const { ValidationError, NotFoundError, ConflictError } = require('../lib/errors')
+
+// Lesson waitlists, mounted at /lessons
+function waitlistRoutes({ db, waitlist }) {
+  const router = express.Router()
+
+  const lessonNotFound = req => new NotFoundError(`No lesson found with ID: ${req.params.id}`, {
+    title: 'Lesson not found',
+    code: 'LESSON_NOT_FOUND'
+  })
+
+  router.post('/:id/waitlist', async (req, res) => {
+    const lessonId = parseObjectId(req.params.id)
+    const lesson = lessonId && await db.collection('lessons').findOne({ _id: lessonId })
+
+    if (!lesson) {
+      throw lessonNotFound(req)
+    }
+
+    const { value, errors } = validateWaitlistEntry(req.body)
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError('Waitlist entry must include a valid name, phone and quantity', errors, {
+        title: 'Invalid waitlist entry'
+      })
+    }
+
+    if (lesson.spaces >= value.quantity) {
+      throw new ConflictError(`"${lesson.subject}" still has ${lesson.spaces} spaces, book it directly`, {
+        title: 'Lesson has spaces',
+        code: 'LESSON_HAS_SPACES',
+        details: { spaces: lesson.spaces }
+      })
+    }
+
+    const entry = await waitlist.join(lessonId, value, req.user && req.user.id)
+
+    res.status(201).json({
+      entryId: entry._id,
+      lessonId,
+      status: entry.status,
+      position: entry.position
+    })
+  })
+
+  router.get('/:id/waitlist', requireRole('admin'), async (req, res) => {
+    const lessonId = parseObjectId(req.params.id)
+    const lesson = lessonId && await db.collection('lessons').findOne({ _id: lessonId })
+
+    if (!lesson) {
+      throw lessonNotFound(req)
+    }
+
+    res.status(200).json(await waitlist.list(lessonId))
+  })
+
+  return router
+}
+
+module.exports = waitlistRoutes
@@ -0,0 +1,121 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createTestApp, seedLessons } = require('./support/app')
+
+const autumn = { weekday: 'tuesday', startTime: '16:00', endTime: '17:00', termStart: '2026-09-01', termEnd: '2026-12-15', excludedDates: [] }
+const spring = { ...autumn, termStart: '2027-01-05', termEnd: '2027-03-30' }
+
+describe('admin analytics', () => {
+  let app, db, admin, maths, music
+
+  beforeEach(async () => {
+    let tokenFor
+    ({ app, db, tokenFor } = createTestApp())
+    admin = await tokenFor('admin')
+    ;[maths, music] = await seedLessons(db, [
+      { subject: 'Maths', location: 'Hendon', price: 100, spaces: 3, schedule: autumn },
+      { subject: 'Music', location: 'Barnet', price: 50, spaces: 8, schedule: spring }
+    ])
+
+    const line = (lesson, quantity) => ({ id: lesson._id.toString(), subject: lesson.subject, price: lesson.price, quantity, lineTotal: lesson.price * quantity })
+    const order = (createdAt, lines, fields = {}) => ({
+      name: 'Ada Lovelace',
+      phone: '07123456789',
+      lessons: lines,
+      total: lines.reduce((sum, item) => sum + item.lineTotal, 0),
+      createdAt: new Date(createdAt),
+      status: 'confirmed',
+      ...fields
+    })
+
+    await db.collection('orders').insertMany([
+      order('2026-10-05T09:00:00Z', [line(maths, 2)]),
+      order('2026-10-07T09:00:00Z', [line(music, 1)], { phone: '07000000000' }),
+      order('2026-10-14T09:00:00Z', [line(maths, 1), line(music, 1)]),
+      order('2026-10-14T10:00:00Z', [line(music, 4)], { status: 'cancelled' })
+    ])
+  })
+
+  const get = url => request(app).get(url).set('Authorization', admin)
+
+  it('is for admins only', async () => {
+    await request(app).get('/admin/analytics/revenue').expect(401)
+  })
+
+  it('reports revenue per day without gaps, ignoring cancelled orders', async () => {
+    const res = await get('/admin/analytics/revenue?from=2026-10-05&to=2026-10-08').expect(200)
+
+    assert.deepEqual(res.body.points.map(point => [point.period, point.revenue]), [
+      ['2026-10-05', 200], ['2026-10-06', 0], ['2026-10-07', 50], ['2026-10-08', 0]
+    ])
+    assert.deepEqual(res.body.totals, { revenue: 250, orders: 2, seats: 3 })
+  })
+
+  it('reports revenue per week and per term', async () => {
+    const weekly = await get('/admin/analytics/revenue?interval=week').expect(200)
+    assert.deepEqual(weekly.body.points.map(point => [point.period, point.revenue]), [['2026-10-05', 250], ['2026-10-12', 150]])
+
+    const termly = await get('/admin/analytics/revenue?interval=term').expect(200)
+    assert.deepEqual(termly.body.points, [
+      { period: '2026-09-01/2026-12-15', revenue: 300, orders: 2, seats: 3 },
+      { period: '2027-01-05/2027-03-30', revenue: 100, orders: 2, seats: 2 }
+    ])
+
+    await get('/admin/analytics/revenue?interval=month').expect(400)
+  })
+
+  it('reports occupancy against the lesson\'s full capacity', async () => {
+    const res = await get('/admin/analytics/occupancy').expect(200)
+    const mathsRow = res.body.lessons.find(row => row.subject === 'Maths')
+
+    assert.deepEqual(mathsRow, { lessonId: maths._id.toString(), subject: 'Maths', location: 'Hendon', capacity: 6, booked: 3, held: 0, available: 3, occupancy: 50 })
+
+    const springOnly = await get('/admin/analytics/occupancy?from=2027-01-01').expect(200)
+    assert.deepEqual(springOnly.body.lessons.map(row => row.subject), ['Music'])
+  })
+
+  it('counts seats booked in the range against the capacity the lesson was created with', async () => {
+    const created = await request(app).post('/lessons').set('Authorization', admin)
+      .send({ subject: 'Art', location: 'Hendon', price: 20, spaces: 10, image: 'art.png', schedule: autumn })
+      .expect(201)
+    await request(app).put(`/lessons/${created.body._id}`).set('Authorization', admin).send({ spaces: 12 }).expect(200)
+    const art = await db.collection('lessons').findOne({ subject: 'Art' })
+    assert.equal(art.capacity, 12)
+
+    const line = { id: art._id.toString(), subject: 'Art', price: 20, quantity: 3, lineTotal: 60 }
+    await db.collection('orders').insertMany([
+      { name: 'Ada Lovelace', phone: '07123456789', lessons: [line], total: 60, createdAt: new Date('2026-10-20T09:00:00Z'), status: 'confirmed' },
+      { name: 'Ada Lovelace', phone: '07123456789', lessons: [line], total: 60, createdAt: new Date('2026-11-20T09:00:00Z'), status: 'confirmed' }
+    ])
+    await db.collection('lessons').updateOne({ _id: art._id }, { $inc: { spaces: -6 } })
+
+    const res = await get('/admin/analytics/occupancy?from=2026-11-01&to=2026-11-30').expect(200)
+    const artRow = res.body.lessons.find(row => row.subject === 'Art')
+    assert.deepEqual([artRow.capacity, artRow.booked, artRow.occupancy], [12, 3, 25])
+
+    const mathsRow = res.body.lessons.find(row => row.subject === 'Maths')
+    assert.deepEqual([mathsRow.capacity, mathsRow.booked], [6, 0])
+  })
+
+  it('ranks subjects and locations and counts repeat customers', async () => {
+    const popular = await get('/admin/analytics/popular?limit=1').expect(200)
+    assert.deepEqual(popular.body.subjects, [{ name: 'Maths', seats: 3, revenue: 300, orders: 2 }])
+    assert.equal(popular.body.locations[0].name, 'Hendon')
+
+    const customers = await get('/admin/analytics/customers').expect(200)
+    assert.equal(customers.body.customers, 2)
+    assert.equal(customers.body.repeatCustomers, 1)
+    assert.deepEqual(customers.body.ordersPerCustomer, [{ orders: 1, customers: 1 }, { orders: 2, customers: 1 }])
+  })
+
+  it('validates date ranges', async () => {
+    const res = await get('/admin/analytics/customers?from=2026-10-10&to=2026-10-01').expect(400)
+    assert.ok(res.body.fields.to)
+
+    const long = await get('/admin/analytics/revenue?from=1970-01-01&to=9999-12-31&interval=day').expect(400)
+    assert.match(long.body.fields.to, /at most 1830 days/)
+    const open = await get('/admin/analytics/revenue?to=9999-12-31').expect(400)
+    assert.ok(open.body.fields.to)
+  })
+})
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createApp } = require('../app')
+const { createTestApp } = require('./support/app')
+
+describe('app', () => {
+  it('describes the API at the root', async () => {
+    const { app } = createTestApp()
+    const res = await request(app).get('/').expect(200)
+
+    assert.ok(res.body.endpoints.length > 0)
+  })
+
+  it('returns JSON 404s for missing images', async () => {
+    const { app } = createTestApp()
+    const res = await request(app).get('/images/missing.png').expect(404)
+
+    assert.equal(res.body.error, 'Image not found')
+  })
+
+  it('reports health and readiness', async () => {
+    const { app } = createTestApp()
+
+    const health = await request(app).get('/healthz').expect(200)
+    assert.equal(health.body.database, 'up')
+
+    await request(app).get('/readyz').expect(200)
+  })
+
+  it('is not ready while shutting down', async () => {
+    const { db, config } = createTestApp()
+    const app = createApp({ db, config, isShuttingDown: () => true })
+
+    const res = await request(app).get('/readyz').expect(503)
+    assert.equal(res.body.shuttingDown, true)
+  })
+})
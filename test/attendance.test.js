@@ -0,0 +1,111 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createTestApp, seedLessons } = require('./support/app')
+const { csvRow } = require('../lib/csv')
+
+const septemberTuesdays = {
+  weekday: 'tuesday',
+  startTime: '16:00',
+  endTime: '17:00',
+  termStart: '2026-09-01',
+  termEnd: '2026-09-29',
+  excludedDates: ['2026-09-15']
+}
+
+describe('csv', () => {
+  it('quotes cells and defuses spreadsheet formulas', () => {
+    assert.equal(csvRow(['Ada, "Lovelace"', '=SUM(A1)', 3, null]), '"Ada, ""Lovelace""",\'=SUM(A1),3,\r\n')
+  })
+})
+
+describe('attendance', () => {
+  let app, db, tokenFor, parent, tutor, maths, ada, ben
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    parent = await tokenFor('parent')
+    tutor = await tokenFor('tutor')
+    ;[maths] = await seedLessons(db, [{ subject: 'Maths', schedule: septemberTuesdays }])
+
+    const addChild = async name => (await request(app)
+      .post('/children')
+      .set('Authorization', parent)
+      .send({ name, dateOfBirth: '2018-05-01' })
+      .expect(201)).body
+
+    ada = await addChild('Ada Lovelace')
+    ben = await addChild('Ben Lovelace')
+
+    await request(app)
+      .post('/orders')
+      .set('Authorization', parent)
+      .send({
+        name: 'Byron Lovelace',
+        phone: '07123456789',
+        lessons: [ada, ben].map(child => ({ id: maths._id.toString(), quantity: 1, childId: child._id }))
+      })
+      .expect(201)
+  })
+
+  const mark = (date, marks, token = tutor) => request(app)
+    .put(`/lessons/${maths._id}/sessions/${date}/attendance`)
+    .set('Authorization', token)
+    .send({ marks })
+
+  it('lets tutors mark a session and shows the register', async () => {
+    const res = await mark('2026-09-01', [{ childId: ada._id, status: 'present' }, { childId: ben._id, status: 'late', note: 'Bus was late' }]).expect(200)
+
+    assert.deepEqual(res.body.children.map(child => [child.name, child.status]), [['Ada Lovelace', 'present'], ['Ben Lovelace', 'late']])
+    assert.equal(res.body.summary.attendanceRate, 100)
+
+    // Marking again replaces the earlier mark
+    await mark('2026-09-01', [{ childId: ada._id, status: 'absent' }]).expect(200)
+    const register = await request(app).get(`/lessons/${maths._id}/sessions/2026-09-01/attendance`).set('Authorization', tutor).expect(200)
+
+    assert.equal(register.body.children[0].status, 'absent')
+    assert.equal(register.body.children[1].note, 'Bus was late')
+  })
+
+  it('only marks booked children on days the lesson runs', async () => {
+    await mark('2026-09-01', [{ childId: ada._id, status: 'present' }], parent).expect(403)
+    await mark('2026-09-02', [{ childId: ada._id, status: 'present' }]).expect(404)
+    await mark('2026-09-15', [{ childId: ada._id, status: 'present' }]).expect(404)
+    await mark('2026-09-08', [{ childId: ada._id, status: 'asleep' }]).expect(400)
+
+    const stranger = await request(app).post('/children').set('Authorization', parent).send({ name: 'Cy Lovelace', dateOfBirth: '2019-01-01' })
+    const res = await mark('2026-09-08', [{ childId: stranger.body._id, status: 'present' }]).expect(400)
+    assert.match(res.body.fields['marks[0].childId'], /not booked/)
+  })
+
+  it('summarises the register per child and per session, and exports it as CSV', async () => {
+    await mark('2026-09-01', [{ childId: ada._id, status: 'present' }, { childId: ben._id, status: 'absent' }]).expect(200)
+    await mark('2026-09-08', [{ childId: ada._id, status: 'late' }]).expect(200)
+
+    const res = await request(app).get(`/lessons/${maths._id}/attendance`).set('Authorization', tutor).expect(200)
+
+    assert.deepEqual(res.body.sessions.map(session => session.date), ['2026-09-01', '2026-09-08', '2026-09-22', '2026-09-29'])
+    assert.deepEqual(res.body.sessions[0], { date: '2026-09-01', present: 1, absent: 1, late: 0, unmarked: 0, attendanceRate: 50 })
+    assert.deepEqual(res.body.children[0].summary, { present: 1, absent: 0, late: 1, unmarked: 2, attendanceRate: 100 })
+
+    const csv = await request(app).get(`/lessons/${maths._id}/attendance?format=csv&to=2026-09-08`).set('Authorization', tutor).expect(200)
+
+    assert.match(csv.headers['content-type'], /text\/csv/)
+    assert.deepEqual(csv.text.trim().split('\r\n'), [
+      'Child,2026-09-01,2026-09-08,Present,Late,Absent,Attendance %',
+      'Ada Lovelace,present,late,1,1,0,100',
+      'Ben Lovelace,absent,,0,0,1,0'
+    ])
+  })
+
+  it('shows parents their own child\'s attendance per lesson', async () => {
+    await mark('2026-09-01', [{ childId: ada._id, status: 'present' }]).expect(200)
+    await mark('2026-09-08', [{ childId: ada._id, status: 'absent' }]).expect(200)
+
+    const res = await request(app).get(`/children/${ada._id}/attendance`).set('Authorization', parent).expect(200)
+
+    assert.equal(res.body.lessons[0].subject, 'Maths')
+    assert.equal(res.body.summary.attendanceRate, 50)
+    await request(app).get(`/children/${ada._id}/attendance`).set('Authorization', await tokenFor('parent')).expect(404)
+  })
+})
@@ -0,0 +1,168 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { diff } = require('../lib/audit')
+const { createTestApp, seedLessons } = require('./support/app')
+
+describe('audit log', () => {
+  let app, db, tokenFor, admin, lesson
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    admin = await tokenFor('admin')
+    ;[lesson] = await seedLessons(db, [{ subject: 'Maths', price: 100, spaces: 5 }])
+  })
+
+  const history = (query = `entity=lesson&id=${lesson._id}`) => request(app)
+    .get(`/admin/audit?${query}`)
+    .set('Authorization', admin)
+
+  const update = (changes, reason) => {
+    const req = request(app).put(`/lessons/${lesson._id}`).set('Authorization', admin)
+    return (reason ? req.set('Audit-Reason', reason) : req).send(changes)
+  }
+
+  it('lists only the fields that changed', () => {
+    assert.deepEqual(diff({ _id: 1, price: 100, subject: 'Maths' }, { _id: 1, price: 90, subject: 'Maths', description: 'New' }), {
+      price: { from: 100, to: 90 },
+      description: { from: null, to: 'New' }
+    })
+  })
+
+  it('records who changed a lesson, when and why', async () => {
+    const res = await update({ price: 90, spaces: 3 }, 'Term price review').expect(200)
+
+    const [entry] = (await history().expect(200)).body
+    assert.equal(entry.action, 'update')
+    assert.deepEqual(entry.changes, { price: { from: 100, to: 90 }, spaces: { from: 5, to: 3 } })
+    assert.equal(entry.before.price, 100)
+    assert.equal(entry.after.price, 90)
+    assert.equal(entry.actor.role, 'admin')
+    assert.equal(entry.reason, 'Term price review')
+    assert.equal(entry.requestId, res.headers['x-request-id'])
+  })
+
+  it('records lessons being created and deleted', async () => {
+    const created = await request(app).post('/lessons').set('Authorization', admin)
+      .send({ subject: 'Art', location: 'Hendon', price: 30, spaces: 4, image: 'art.png' })
+      .expect(201)
+    await request(app).delete(`/lessons/${created.body._id}`).set('Authorization', admin).expect(200)
+
+    const entries = (await history(`entity=lesson&id=${created.body._id}&sort=at`).expect(200)).body
+    assert.deepEqual(entries.map(entry => entry.action), ['create', 'delete'])
+    assert.equal(entries[0].after.subject, 'Art')
+    assert.equal(entries[1].after, null)
+  })
+
+  it('shows the orders that took and gave back a lesson\'s seats', async () => {
+    const parent = await tokenFor('parent')
+    const placed = await request(app).post('/orders').set('Authorization', parent)
+      .send({ name: 'Ada Lovelace', phone: '07123456789', lessons: [{ id: lesson._id.toString(), quantity: 2 }] })
+      .expect(201)
+    await request(app).post(`/orders/${placed.body.orderId}/cancel`).set('Authorization', parent)
+      .send({ reason: 'Moving away' })
+      .expect(200)
+
+    const entries = (await history(`entity=lesson&id=${lesson._id}&sort=at`).expect(200)).body
+    assert.deepEqual(entries.map(entry => [entry.entity, entry.action]), [['order', 'create'], ['order', 'status']])
+    assert.deepEqual(entries[1].changes.status, { from: 'pending', to: 'cancelled' })
+    assert.equal(entries[1].reason, 'Moving away')
+    assert.equal(entries[1].actor.role, 'parent')
+
+    const orderEntries = (await history(`entity=order&id=${placed.body.orderId}`).expect(200)).body
+    assert.equal(orderEntries.length, 2)
+  })
+
+  it('records seats held by carts and offered from the waitlist', async () => {
+    const cart = await request(app).post('/carts').expect(201)
+    const held = await request(app).post(`/carts/${cart.body.id}/items`).send({ lessonId: lesson._id.toString(), quantity: 5 }).expect(200)
+    await request(app).post(`/lessons/${lesson._id}/waitlist`).send({ name: 'Alan Turing', phone: '07000000002' }).expect(201)
+    await request(app).delete(`/carts/${cart.body.id}`).expect(200)
+
+    const entries = (await history(`entity=lesson&id=${lesson._id}&sort=at`).expect(200)).body
+    assert.deepEqual(entries.map(entry => [entry.action, entry.changes.spaces]), [
+      ['seats', { from: 5, to: 0 }],
+      ['seats', { from: 0, to: 5 }],
+      ['seats', { from: 5, to: 4 }]
+    ])
+    assert.ok(entries.every(entry => entry.actor.role === 'system'))
+    assert.equal(entries[0].reason, `Held by cart ${cart.body.id}`)
+    assert.equal(entries[0].requestId, held.headers['x-request-id'])
+    assert.match(entries[2].reason, /^Offered to waitlist entry/)
+  })
+
+  it('records lessons changed by an import', async () => {
+    await request(app).post('/admin/lessons/import').set('Authorization', admin).set('Audit-Reason', 'Autumn term')
+      .send([{ id: lesson._id.toString(), subject: 'Maths', location: 'Hendon', price: 120, spaces: 5, image: 'maths.png' }])
+      .expect(200)
+
+    const [entry] = (await history().expect(200)).body
+    assert.deepEqual(entry.changes, { price: { from: 100, to: 120 } })
+    assert.equal(entry.reason, 'Autumn term')
+  })
+
+  it('checks its query and is for admins only', async () => {
+    const res = await history('entity=cart&id=nope').expect(400)
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['entity', 'id'])
+
+    await history(`id=${lesson._id}`).expect(400)
+    await request(app).get('/admin/audit').set('Authorization', await tokenFor('parent')).expect(403)
+  })
+
+  describe('POST /lessons/:id/revert', () => {
+    const revert = body => request(app).post(`/lessons/${lesson._id}/revert`).set('Authorization', admin).send(body)
+
+    it('puts a lesson back to an earlier version, keeping its seats', async () => {
+      await update({ price: 90, description: 'Times tables' }).expect(200)
+      const [first] = (await history().expect(200)).body
+      await update({ price: 150, subject: 'Further maths', spaces: 4 }).expect(200)
+
+      const res = await revert({ auditId: first._id, reason: 'Wrong price' }).expect(200)
+      assert.equal(res.body.price, 90)
+      assert.equal(res.body.subject, 'Maths')
+      assert.equal(res.body.description, 'Times tables')
+      assert.equal(res.body.spaces, 4)
+
+      const [entry] = (await history().expect(200)).body
+      assert.equal(entry.action, 'revert')
+      assert.equal(entry.revertedFrom, first._id)
+      assert.equal(entry.reason, 'Wrong price')
+    })
+
+    it('brings back a deleted lesson with the spaces it has now', async () => {
+      await update({ price: 90, spaces: 0 }).expect(200)
+      await request(app).post(`/lessons/${lesson._id}/waitlist`).send({ name: 'Alan Turing', phone: '07000000002' }).expect(201)
+      await request(app).delete(`/lessons/${lesson._id}`).set('Authorization', admin).expect(200)
+      const [deleted, updated] = (await history().expect(200)).body
+
+      await revert({ auditId: deleted._id, spaces: 2, image: 'maths.png' }).expect(400)
+      const missing = await revert({ auditId: updated._id }).expect(400)
+      assert.deepEqual(Object.keys(missing.body.fields).sort(), ['image', 'spaces'])
+
+      await revert({ auditId: updated._id, spaces: 2, image: 'maths.png' }).expect(200)
+
+      const restored = await request(app).get(`/lessons/${lesson._id}`).expect(200)
+      assert.equal(restored.body.price, 90)
+      assert.equal(restored.body.spaces, 1)
+      assert.equal((await db.collection('waitlist').findOne({})).status, 'offered')
+    })
+
+    it('only takes spaces and image for a deleted lesson', async () => {
+      await update({ price: 90 }).expect(200)
+      const [entry] = (await history().expect(200)).body
+
+      const res = await revert({ auditId: entry._id, spaces: 9 }).expect(400)
+      assert.deepEqual(Object.keys(res.body.fields), ['spaces'])
+    })
+
+    it('only takes entries for the same lesson', async () => {
+      const [other] = await seedLessons(db, [{ subject: 'Art' }])
+      await request(app).put(`/lessons/${other._id}`).set('Authorization', admin).send({ price: 10 }).expect(200)
+      const [entry] = (await history(`entity=lesson&id=${other._id}`).expect(200)).body
+
+      const res = await revert({ auditId: entry._id }).expect(404)
+      assert.equal(res.body.code, 'AUDIT_ENTRY_NOT_FOUND')
+      await revert({}).expect(400)
+    })
+  })
+})
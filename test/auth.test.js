@@ -0,0 +1,40 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createTestApp } = require('./support/app')
+
+describe('auth', () => {
+  let app
+
+  beforeEach(() => {
+    ({ app } = createTestApp())
+  })
+
+  const parent = { email: 'Parent@Example.com', password: 'correct horse', name: 'Grace Hopper' }
+
+  it('registers a parent and signs them in', async () => {
+    const registered = await request(app).post('/auth/register').send(parent).expect(201)
+    assert.equal(registered.body.user.role, 'parent')
+    assert.equal(registered.body.user.email, 'parent@example.com')
+
+    const login = await request(app).post('/auth/login').send({ email: 'parent@example.com', password: 'correct horse' }).expect(200)
+    const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${login.body.token}`).expect(200)
+
+    assert.equal(me.body.name, 'Grace Hopper')
+    assert.equal(me.body.passwordHash, undefined)
+  })
+
+  it('refuses a second account for the same email', async () => {
+    await request(app).post('/auth/register').send(parent).expect(201)
+    await request(app).post('/auth/register').send(parent).expect(409)
+  })
+
+  it('rejects a wrong password', async () => {
+    await request(app).post('/auth/register').send(parent).expect(201)
+    await request(app).post('/auth/login').send({ email: parent.email, password: 'wrong password' }).expect(401)
+  })
+
+  it('rejects a tampered token', async () => {
+    await request(app).get('/auth/me').set('Authorization', 'Bearer not.a.token').expect(401)
+  })
+})
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createTestApp, seedLessons } = require('./support/app')
+const { createCarts } = require('../lib/carts')
+const { createWaitlist } = require('../lib/waitlist')
+const { createAudit } = require('../lib/audit')
+
+describe('carts', () => {
+  let app, db, tokenFor, maths, cartId
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    ;[maths] = await seedLessons(db, [{ subject: 'Maths', price: 100, spaces: 3 }])
+    cartId = (await request(app).post('/carts').expect(201)).body.id
+  })
+
+  const spaces = async () => (await db.collection('lessons').findOne({ _id: maths._id })).spaces
+  const hold = quantity => request(app).post(`/carts/${cartId}/items`).send({ lessonId: maths._id.toString(), quantity })
+
+  it('holds seats as soon as a lesson is added', async () => {
+    const res = await hold(2).expect(200)
+
+    assert.deepEqual(res.body.items, [{ id: maths._id.toString(), quantity: 2 }])
+    assert.equal(await spaces(), 1)
+  })
+
+  it('merges holds on the same lesson and refuses more than are left', async () => {
+    await hold(1).expect(200)
+    const res = await hold(1).expect(200)
+    assert.deepEqual(res.body.items, [{ id: maths._id.toString(), quantity: 2 }])
+
+    const full = await hold(2).expect(409)
+    assert.equal(full.body.lessons[0].available, 1)
+  })
+
+  it('gives seats back when a lesson is removed or the cart abandoned', async () => {
+    await hold(2).expect(200)
+    await request(app).delete(`/carts/${cartId}/items/${maths._id}`).expect(200)
+    assert.equal(await spaces(), 3)
+
+    await hold(1).expect(200)
+    await request(app).delete(`/carts/${cartId}`).expect(200)
+    assert.equal(await spaces(), 3)
+    await hold(1).expect(404)
+  })
+
+  it('checks out a cart into an order without taking the seats again', async () => {
+    await hold(2).expect(200)
+
+    const order = await request(app)
+      .post('/orders')
+      .send({ name: 'Ada Lovelace', phone: '07123456789', cartId })
+      .expect(201)
+
+    assert.equal(order.body.total, 200)
+    assert.equal(await spaces(), 1)
+
+    const cart = await request(app).get(`/carts/${cartId}`).expect(200)
+    assert.equal(cart.body.status, 'converted')
+
+    await request(app).post('/orders').send({ name: 'Ada Lovelace', phone: '07123456789', cartId }).expect(409)
+  })
+
+  it('rejects checking out an empty cart and leaves it usable', async () => {
+    await request(app).post('/orders').send({ name: 'Ada Lovelace', phone: '07123456789', cartId }).expect(400)
+
+    await hold(1).expect(200)
+  })
+
+  it('releases expired holds when swept', async () => {
+    await hold(2).expect(200)
+
+    const audit = createAudit({ db })
+    const carts = createCarts({ db, holdMinutes: 15, waitlist: createWaitlist({ db, offerMinutes: 60, audit }), audit })
+    const expired = await carts.expire(new Date(Date.now() + 16 * 60000))
+
+    assert.equal(expired, 1)
+    assert.equal(await spaces(), 3)
+    await request(app).post('/orders').send({ name: 'Ada Lovelace', phone: '07123456789', cartId }).expect(409)
+  })
+
+  it('keeps a signed in parent\'s cart to themselves', async () => {
+    const [ada, bob] = [await tokenFor('parent'), await tokenFor('parent')]
+    const owned = (await request(app).post('/carts').set('Authorization', ada).expect(201)).body.id
+    const item = { lessonId: maths._id.toString(), quantity: 1 }
+    await request(app).post(`/carts/${owned}/items`).set('Authorization', ada).send(item).expect(200)
+
+    for (const token of [bob, null]) {
+      const as = req => token ? req.set('Authorization', token) : req
+      await as(request(app).get(`/carts/${owned}`)).expect(404)
+      await as(request(app).post(`/carts/${owned}/items`)).send(item).expect(404)
+      await as(request(app).delete(`/carts/${owned}/items/${maths._id}`)).expect(404)
+      await as(request(app).delete(`/carts/${owned}`)).expect(404)
+      await as(request(app).post('/orders/quote')).send({ cartId: owned }).expect(404)
+      await as(request(app).post('/orders')).send({ name: 'Bob', phone: '07000000002', cartId: owned }).expect(404)
+    }
+
+    assert.equal(await spaces(), 2)
+    const cart = await request(app).get(`/carts/${owned}`).set('Authorization', ada).expect(200)
+    assert.equal(cart.body.status, 'active')
+    await request(app).post('/orders').set('Authorization', ada).send({ name: 'Ada', phone: '07000000001', cartId: owned }).expect(201)
+  })
+
+  it('lets a signed in parent use a cart they made as a guest', async () => {
+    await hold(1).expect(200)
+    await request(app).get(`/carts/${cartId}`).set('Authorization', await tokenFor('parent')).expect(200)
+  })
+})
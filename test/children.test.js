@@ -0,0 +1,150 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { ObjectId } = require('mongodb')
+const { createTestApp, seedLessons } = require('./support/app')
+
+const tuesdays = {
+  weekday: 'tuesday',
+  startTime: '16:00',
+  endTime: '17:00',
+  termStart: '2030-09-03',
+  termEnd: '2030-12-17',
+  excludedDates: []
+}
+
+describe('children and per-child bookings', () => {
+  let app, db, tokenFor, parent, maths, music, chess
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    parent = await tokenFor('parent')
+    ;[maths, music, chess] = await seedLessons(db, [
+      { subject: 'Maths', schedule: tuesdays, minAge: 7, maxAge: 11 },
+      { subject: 'Music', schedule: { ...tuesdays, startTime: '16:30', endTime: '17:30' } },
+      { subject: 'Chess', minAge: 12 }
+    ])
+  })
+
+  const addChild = async (fields = {}, token = parent) => {
+    const res = await request(app)
+      .post('/children')
+      .set('Authorization', token)
+      .send({ name: 'Ada Lovelace', dateOfBirth: '2022-01-15', allergyNotes: 'Peanuts', ...fields })
+      .expect(201)
+    return res.body
+  }
+
+  const order = (lines, fields = {}) => ({
+    name: 'Byron Lovelace',
+    phone: '07123456789',
+    lessons: lines.map(([lesson, child]) => ({ id: lesson._id.toString(), quantity: 1, childId: child && child._id })),
+    ...fields
+  })
+
+  it('keeps each parent\'s children to themselves', async () => {
+    const child = await addChild()
+    const otherParent = await tokenFor('parent')
+
+    const own = await request(app).get('/children').set('Authorization', parent).expect(200)
+    assert.deepEqual(own.body.map(c => c.name), ['Ada Lovelace'])
+
+    await request(app).get(`/children/${child._id}`).set('Authorization', otherParent).expect(404)
+    await request(app).put(`/children/${child._id}`).set('Authorization', otherParent).send({ medicalNotes: 'Asthma' }).expect(404)
+
+    const updated = await request(app).put(`/children/${child._id}`).set('Authorization', parent).send({ medicalNotes: 'Asthma' }).expect(200)
+    assert.equal(updated.body.medicalNotes, 'Asthma')
+  })
+
+  it('validates child profiles', async () => {
+    const res = await request(app)
+      .post('/children')
+      .set('Authorization', parent)
+      .send({ name: 'Ada 2', dateOfBirth: '2099-01-01', shoeSize: 3 })
+      .expect(400)
+
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['dateOfBirth', 'name', 'shoeSize'])
+  })
+
+  it('books a lesson for a child inside its age range', async () => {
+    const child = await addChild()
+
+    const res = await request(app).post('/orders').set('Authorization', parent).send(order([[maths, child]])).expect(201)
+    const stored = await db.collection('orders').findOne({ _id: new ObjectId(res.body.orderId) })
+
+    assert.equal(stored.lessons[0].childId, child._id)
+    assert.equal(stored.lessons[0].childName, 'Ada Lovelace')
+  })
+
+  it('rejects a child outside the lesson\'s age range', async () => {
+    const child = await addChild()
+
+    const res = await request(app).post('/orders').set('Authorization', parent).send(order([[chess, child]])).expect(400)
+
+    assert.match(res.body.fields['lessons[0].childId'], /ages 12/)
+    assert.equal((await db.collection('lessons').findOne({ _id: chess._id })).spaces, 5)
+  })
+
+  it('only books children on the parent\'s own account', async () => {
+    const child = await addChild({}, await tokenFor('parent'))
+
+    await request(app).post('/orders').send(order([[maths, child]])).expect(401)
+    const res = await request(app).post('/orders').set('Authorization', parent).send(order([[maths, child]])).expect(400)
+
+    assert.match(res.body.fields['lessons[0].childId'], /No child found/)
+  })
+
+  it('checks clashes per child, including lessons they are already booked on', async () => {
+    const ada = await addChild()
+    const ben = await addChild({ name: 'Ben Lovelace' })
+
+    // Two children can attend lessons that run at the same time
+    await request(app).post('/orders').set('Authorization', parent).send(order([[maths, ada], [music, ben]])).expect(201)
+
+    const res = await request(app).post('/orders').set('Authorization', parent).send(order([[music, ada]])).expect(409)
+
+    assert.equal(res.body.clashes[0].childName, 'Ada Lovelace')
+    assert.deepEqual(res.body.clashes[0].lessons.map(lesson => lesson.subject).sort(), ['Maths', 'Music'])
+  })
+
+  it('refuses to book a child on the same lesson twice', async () => {
+    const child = await addChild()
+    await request(app).post('/orders').set('Authorization', parent).send(order([[maths, child]])).expect(201)
+
+    const res = await request(app).post('/orders').set('Authorization', parent).send(order([[maths, child]])).expect(400)
+    assert.match(res.body.fields['lessons[0].childId'], /already booked/)
+  })
+
+  it('keeps a booked child until their orders are cancelled', async () => {
+    const child = await addChild()
+    const booked = await request(app).post('/orders').set('Authorization', parent).send(order([[maths, child]])).expect(201)
+
+    await request(app).delete(`/children/${child._id}`).set('Authorization', parent).expect(409)
+    await request(app).post(`/orders/${booked.body.orderId}/cancel`).set('Authorization', parent).expect(200)
+    await request(app).delete(`/children/${child._id}`).set('Authorization', parent).expect(200)
+  })
+
+  it('gives tutors a roster with each child\'s notes', async () => {
+    const child = await addChild()
+    await request(app).post('/orders').set('Authorization', parent).send(order([[maths, child]])).expect(201)
+    await request(app).post('/orders').send(order([[maths]])).expect(201)
+
+    await request(app).get(`/lessons/${maths._id}/roster`).set('Authorization', parent).expect(403)
+    const res = await request(app).get(`/lessons/${maths._id}/roster`).set('Authorization', await tokenFor('tutor')).expect(200)
+
+    assert.equal(res.body.totalBooked, 2)
+    assert.equal(res.body.children[0].name, 'Ada Lovelace')
+    assert.equal(res.body.children[0].allergyNotes, 'Peanuts')
+    assert.equal(res.body.unnamed[0].quantity, 1)
+  })
+
+  it('lets admins create tutor accounts', async () => {
+    const admin = await tokenFor('admin')
+    const tutor = { email: 'tutor@example.com', password: 'correct horse', name: 'Alan Turing', role: 'tutor' }
+
+    await request(app).post('/auth/users').set('Authorization', parent).send(tutor).expect(403)
+    const res = await request(app).post('/auth/users').set('Authorization', admin).send(tutor).expect(201)
+
+    assert.equal(res.body.role, 'tutor')
+  })
+})
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const express = require('express')
+const request = require('supertest')
+const { ConflictError, errorHandler } = require('../lib/errors')
+const { createTestApp, seedLessons } = require('./support/app')
+
+describe('error handling', () => {
+  it('answers unknown routes with a JSON 404', async () => {
+    const { app } = createTestApp()
+    const res = await request(app).get('/nope').set('X-Request-Id', 'req-404').expect(404)
+
+    assert.deepEqual(res.body, {
+      error: 'Route not found',
+      code: 'ROUTE_NOT_FOUND',
+      message: 'No route for GET /nope',
+      requestId: 'req-404'
+    })
+  })
+
+  it('reports malformed JSON bodies as a client error', async () => {
+    const { app } = createTestApp()
+    const res = await request(app)
+      .post('/orders')
+      .set('Content-Type', 'application/json')
+      .send('{"name": ')
+      .expect(400)
+
+    assert.equal(res.body.code, 'INVALID_JSON')
+    assert.ok(res.body.requestId)
+  })
+
+  it('gives validation failures a code and the bad fields', async () => {
+    const { app } = createTestApp()
+    const res = await request(app).post('/orders').send({}).expect(400)
+
+    assert.equal(res.body.error, 'Invalid order')
+    assert.equal(res.body.code, 'VALIDATION_FAILED')
+    assert.ok(res.body.fields.name)
+  })
+
+  it('gives conflicts a specific code and keeps their details', async () => {
+    const { app, db } = createTestApp()
+    const [lesson] = await seedLessons(db, [{ spaces: 1 }])
+
+    const res = await request(app)
+      .post('/orders')
+      .send({ name: 'Ada', phone: '07123456789', lessons: [{ id: lesson._id.toString(), quantity: 2 }] })
+      .expect(409)
+
+    assert.equal(res.body.code, 'NOT_ENOUGH_SPACES')
+    assert.equal(res.body.lessons.length, 1)
+  })
+
+  it('never lets details overwrite the envelope', async () => {
+    const app = express()
+    app.get('/', () => {
+      throw new ConflictError('Taken', { code: 'TAKEN', details: { code: 'SNEAKY', message: 'Hi', requestId: 'fake', extra: 1 } })
+    })
+    app.use(errorHandler())
+
+    const res = await request(app).get('/').expect(409)
+
+    assert.equal(res.body.code, 'TAKEN')
+    assert.equal(res.body.message, 'Taken')
+    assert.notEqual(res.body.requestId, 'fake')
+    assert.equal(res.body.extra, 1)
+  })
+
+  it('uses the envelope for authentication failures', async () => {
+    const { app } = createTestApp()
+
+    const missing = await request(app).get('/auth/me').expect(401)
+    assert.equal(missing.body.code, 'UNAUTHORIZED')
+
+    const bad = await request(app).get('/auth/me').set('Authorization', 'Bearer nonsense').expect(401)
+    assert.equal(bad.body.code, 'INVALID_TOKEN')
+  })
+
+  it('hides the details of unexpected errors', async () => {
+    const { app, db } = createTestApp()
+    db.collection = () => {
+      throw new Error('connection to mongo-0.internal:27017 lost')
+    }
+
+    const res = await request(app).get('/lessons').expect(500)
+
+    assert.equal(res.body.code, 'INTERNAL_ERROR')
+    assert.doesNotMatch(res.body.message, /mongo/)
+    assert.ok(res.body.requestId)
+  })
+})
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { canonicalJson } = require('../lib/idempotency')
+const { createTestApp, seedLessons } = require('./support/app')
+
+describe('idempotency keys', () => {
+  let app, db, tokenFor, maths
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    ;[maths] = await seedLessons(db, [{ subject: 'Maths', price: 100, spaces: 3 }])
+  })
+
+  const order = (quantity = 1) => ({
+    name: 'Ada Lovelace',
+    phone: '07123456789',
+    lessons: [{ id: maths._id.toString(), quantity }]
+  })
+
+  const checkout = (body, key) => {
+    const req = request(app).post('/orders')
+    return (key ? req.set('Idempotency-Key', key) : req).send(body)
+  }
+
+  it('replays the first response for a retry instead of ordering twice', async () => {
+    const first = await checkout(order(), 'key-1').expect(201)
+    const retry = await checkout(order(), 'key-1').expect(201)
+
+    assert.deepEqual(retry.body, first.body)
+    assert.equal(retry.headers['idempotent-replayed'], 'true')
+    assert.equal(first.headers['idempotent-replayed'], undefined)
+    assert.equal(await db.collection('orders').countDocuments({}), 1)
+    assert.equal((await db.collection('lessons').findOne({ _id: maths._id })).spaces, 2)
+  })
+
+  it('treats the same body with keys in another order as the same request', async () => {
+    await checkout(order(), 'key-1').expect(201)
+    const { lessons, phone, name } = order()
+
+    await checkout({ phone, lessons, name }, 'key-1').expect(201)
+
+    assert.equal(await db.collection('orders').countDocuments({}), 1)
+  })
+
+  it('rejects a different body sent with a used key', async () => {
+    await checkout(order(), 'key-1').expect(201)
+    const res = await checkout(order(2), 'key-1').expect(422)
+
+    assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED')
+    assert.equal(await db.collection('orders').countDocuments({}), 1)
+  })
+
+  it('replays client errors too', async () => {
+    const invalid = { ...order(), phone: 'none' }
+    const first = await checkout(invalid, 'key-1').expect(400)
+    const retry = await checkout(invalid, 'key-1').expect(400)
+
+    assert.equal(retry.headers['idempotent-replayed'], 'true')
+    assert.equal(retry.body.requestId, first.body.requestId)
+  })
+
+  it('runs a retry again after a conflict such as seats running out', async () => {
+    const first = await checkout(order(5), 'key-1').expect(409)
+    assert.equal(first.body.code, 'NOT_ENOUGH_SPACES')
+
+    await db.collection('lessons').updateOne({ _id: maths._id }, { $set: { spaces: 10 } })
+    const retry = await checkout(order(5), 'key-1').expect(201)
+
+    assert.equal(retry.headers['idempotent-replayed'], undefined)
+    assert.equal(await db.collection('orders').countDocuments({}), 1)
+  })
+
+  it('tells a retry to wait while the first request is still running', async () => {
+    await checkout(order(), 'key-1').expect(201)
+    await db.collection('idempotency_keys').updateOne({}, { $set: { status: 'processing', lockedAt: new Date() } })
+
+    const res = await checkout(order(), 'key-1').expect(409)
+    assert.equal(res.body.code, 'IDEMPOTENCY_KEY_IN_USE')
+  })
+
+  it('keeps keys apart per user', async () => {
+    const parent = await tokenFor('parent')
+    const other = await tokenFor('parent')
+
+    await checkout(order(), 'shared').set('Authorization', parent).expect(201)
+    await checkout(order(), 'shared').set('Authorization', other).expect(201)
+
+    assert.equal(await db.collection('orders').countDocuments({}), 2)
+  })
+
+  it('stores keys with an expiry', async () => {
+    await checkout(order(), 'key-1').expect(201)
+    const [stored] = await db.collection('idempotency_keys').find({}).toArray()
+
+    assert.equal(stored.status, 'completed')
+    assert.ok(stored.expiresAt > new Date(Date.now() + 23 * 3600000))
+  })
+
+  it('works as before without a key and rejects malformed keys', async () => {
+    await checkout(order()).expect(201)
+    await checkout(order()).expect(201)
+    assert.equal(await db.collection('orders').countDocuments({}), 2)
+
+    const res = await checkout(order(), 'x'.repeat(256)).expect(400)
+    assert.equal(res.body.code, 'INVALID_IDEMPOTENCY_KEY')
+  })
+
+  it('hashes bodies regardless of key order', () => {
+    assert.equal(canonicalJson({ b: 1, a: [{ d: 2, c: 3 }] }), canonicalJson({ a: [{ c: 3, d: 2 }], b: 1 }))
+  })
+})
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const request = require('supertest')
+const { Jimp } = require('jimp')
+const { createTestApp, seedLessons } = require('./support/app')
+const { sniffImage } = require('../lib/images')
+
+async function pngOf(width, height, color = 0x3366ccff) {
+  return new Jimp({ width, height, color }).getBuffer('image/png')
+}
+
+describe('lesson images', () => {
+  let app, db, admin, dir, maths
+
+  beforeEach(async () => {
+    let tokenFor
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lesson-images-'))
+    ;({ app, db, tokenFor } = createTestApp({ env: { IMAGES_DIR: dir, MAX_IMAGE_BYTES: '200000' } }))
+    admin = await tokenFor('admin')
+    ;[maths] = await seedLessons(db, [{ subject: 'Maths' }])
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  const upload = (buffer, { filename = 'photo.png', contentType = 'image/png', lesson = maths } = {}) => request(app)
+    .post(`/lessons/${lesson._id}/image`)
+    .set('Authorization', admin)
+    .attach('image', buffer, { filename, contentType })
+
+  it('reads image sizes from file headers', async () => {
+    assert.deepEqual(sniffImage(await pngOf(40, 30)), { type: 'image/png', width: 40, height: 30 })
+    const jpeg = await new Jimp({ width: 40, height: 30, color: 0xffffffff }).getBuffer('image/jpeg')
+    assert.deepEqual(sniffImage(jpeg), { type: 'image/jpeg', width: 40, height: 30 })
+    assert.equal(sniffImage(Buffer.from('GIF89a not really')), null)
+  })
+
+  it('stores resized variants under hashed names and serves them for a year', async () => {
+    const res = await upload(await pngOf(1600, 800)).expect(200)
+    const { images } = res.body
+
+    assert.match(images.web, /^[0-9a-f]{16}-web\.jpg$/)
+    assert.equal(res.body.image, images.web)
+
+    const web = await Jimp.read(path.join(dir, images.web))
+    const thumb = await Jimp.read(path.join(dir, images.thumb))
+    assert.deepEqual([web.width, web.height], [1200, 600])
+    assert.deepEqual([thumb.width, thumb.height], [300, 300])
+
+    const served = await request(app).get(`/images/${images.thumb}`).expect(200)
+    assert.match(served.headers['cache-control'], /max-age=31536000, immutable/)
+    assert.equal((await db.collection('lessons').findOne({ _id: maths._id })).image, images.web)
+  })
+
+  it('deletes the old files when the image is replaced or the lesson deleted', async () => {
+    const first = (await upload(await pngOf(100, 100)).expect(200)).body.images
+    const second = (await upload(await pngOf(100, 100, 0xff0000ff)).expect(200)).body.images
+
+    assert.equal(fs.existsSync(path.join(dir, first.web)), false)
+    assert.equal(fs.existsSync(path.join(dir, second.web)), true)
+
+    await request(app).delete(`/lessons/${maths._id}`).set('Authorization', admin).expect(200)
+    assert.deepEqual(fs.readdirSync(dir), [])
+  })
+
+  it('keeps files another lesson still uses', async () => {
+    const [art] = await seedLessons(db, [{ subject: 'Art' }])
+    const picture = await pngOf(100, 100)
+    const { images } = (await upload(picture).expect(200)).body
+    await upload(picture, { lesson: art }).expect(200)
+
+    await request(app).put(`/lessons/${maths._id}`).set('Authorization', admin).send({ image: 'maths.png' }).expect(200)
+
+    assert.equal(fs.existsSync(path.join(dir, images.web)), true)
+    assert.equal((await db.collection('lessons').findOne({ _id: maths._id })).images, undefined)
+  })
+
+  it('removes the files again when the lesson is deleted during the upload', async () => {
+    const lessons = db.collection('lessons')
+    const findOneAndUpdate = lessons.findOneAndUpdate
+    lessons.findOneAndUpdate = async (...args) => {
+      await lessons.deleteOne({ _id: maths._id })
+      return findOneAndUpdate.apply(lessons, args)
+    }
+
+    const res = await upload(await pngOf(100, 100)).expect(404)
+    assert.equal(res.body.code, 'LESSON_NOT_FOUND')
+    assert.deepEqual(fs.readdirSync(dir), [])
+  })
+
+  it('rejects files that are not images, too big, or missing', async () => {
+    await upload(Buffer.from('hello'), { filename: 'notes.txt', contentType: 'text/plain' }).expect(415)
+    await upload(Buffer.from('not really a png'), {}).expect(415)
+    await upload(Buffer.alloc(300000), {}).expect(413)
+    await request(app).post(`/lessons/${maths._id}/image`).set('Authorization', admin).field('title', 'x').expect(400)
+    await request(app).post(`/lessons/${maths._id}/image`).attach('image', await pngOf(10, 10), 'a.png').expect(401)
+    assert.deepEqual(fs.readdirSync(dir), [])
+  })
+
+  it('brings back a deleted lesson without its removed picture', async () => {
+    const { images } = (await upload(await pngOf(100, 100)).expect(200)).body
+    await request(app).delete(`/lessons/${maths._id}`).set('Authorization', admin).expect(200)
+    assert.equal(fs.existsSync(path.join(dir, images.web)), false)
+
+    const [, uploaded] = (await request(app).get(`/admin/audit?entity=lesson&id=${maths._id}`).set('Authorization', admin).expect(200)).body
+    const res = await request(app).post(`/lessons/${maths._id}/revert`).set('Authorization', admin)
+      .send({ auditId: uploaded._id, spaces: 3, image: 'maths.png' })
+      .expect(200)
+
+    assert.equal(res.body.image, 'maths.png')
+    assert.equal(res.body.images, undefined)
+    assert.equal(res.body.spaces, 3)
+  })
+})
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createTestApp, seedLessons } = require('./support/app')
+const { parseCsv } = require('../lib/csv')
+
+const HEADER = 'id,subject,location,price,spaces,image,description,minAge,maxAge,weekday,startTime,endTime,termStart,termEnd,excludedDates'
+
+describe('csv parsing', () => {
+  it('reads quoted cells, doubled quotes and line breaks inside quotes', () => {
+    const { records, error } = parseCsv('﻿name,notes\r\n"Lovelace, Ada","Says ""hi""\nevery day"\r\n\r\nBen,\n')
+
+    assert.equal(error, null)
+    assert.deepEqual(records.map(record => record.values), [
+      { name: 'Lovelace, Ada', notes: 'Says "hi"\nevery day' },
+      { name: 'Ben', notes: '' }
+    ])
+  })
+
+  it('reports an unclosed quote', () => {
+    assert.match(parseCsv('name\n"Ada\n').error, /never closed/)
+  })
+})
+
+describe('lesson import and export', () => {
+  let app, db, admin, maths
+
+  beforeEach(async () => {
+    let tokenFor
+    ({ app, db, tokenFor } = createTestApp())
+    admin = await tokenFor('admin')
+    ;[maths] = await seedLessons(db, [{ subject: 'Maths', spaces: 5 }])
+  })
+
+  const importCsv = (csv, query = '') => request(app)
+    .post(`/admin/lessons/import${query}`)
+    .set('Authorization', admin)
+    .set('Content-Type', 'text/csv')
+    .send(csv)
+
+  const termCsv = () => [
+    HEADER,
+    ',Chess,Barnet,80,10,chess.png,"Openings, endgames",8,12,monday,16:00,17:00,2026-09-07,2026-12-14,2026-10-26;2026-11-02',
+    `${maths._id},,,,12,,,,,,,,,,`
+  ].join('\n')
+
+  it('previews an import without writing anything', async () => {
+    const res = await importCsv(termCsv(), '?dryRun=true').expect(200)
+
+    assert.deepEqual(res.body.summary, { rows: 2, insert: 1, update: 1, unchanged: 0, errors: 0 })
+    assert.deepEqual(res.body.rows[1].changes, { spaces: { from: 5, to: 12 } })
+    assert.equal(await db.collection('lessons').countDocuments({}), 1)
+  })
+
+  it('inserts and updates lessons', async () => {
+    const res = await importCsv(termCsv()).expect(200)
+
+    const chess = await db.collection('lessons').findOne({ subject: 'Chess' })
+    assert.equal(res.body.rows[0].id, chess._id.toString())
+    assert.equal(chess.description, 'Openings, endgames')
+    assert.deepEqual(chess.schedule.excludedDates, ['2026-10-26', '2026-11-02'])
+    assert.equal((await db.collection('lessons').findOne({ _id: maths._id })).spaces, 12)
+
+    // The new lesson is searchable straight away
+    const search = await request(app).get('/search?query=chess').expect(200)
+    assert.equal(search.body.length, 1)
+  })
+
+  it('reports every bad row and imports nothing', async () => {
+    const res = await importCsv([
+      HEADER,
+      ',Chess,Barnet,free,10,chess.png,,,,,,,,,',
+      `${'a'.repeat(24)},,,,3,,,,,,,,,,`,
+      ',Art,Hendon,50,10,art.png,,,,friday,,,,,'
+    ].join('\n')).expect(400)
+
+    assert.equal(res.body.summary.errors, 3)
+    assert.deepEqual(res.body.rows.map(row => [row.line, Object.keys(row.errors)]), [[2, ['price']], [3, ['id']], [4, ['schedule']]])
+    assert.equal(await db.collection('lessons').countDocuments({}), 1)
+  })
+
+  it('imports JSON and rejects other content types', async () => {
+    await request(app)
+      .post('/admin/lessons/import')
+      .set('Authorization', admin)
+      .send({ lessons: [{ subject: 'Art', location: 'Hendon', price: 50, spaces: 10, image: 'art.png' }] })
+      .expect(200)
+
+    assert.equal(await db.collection('lessons').countDocuments({}), 2)
+    await request(app).post('/admin/lessons/import').set('Authorization', admin).set('Content-Type', 'text/plain').send('hello').expect(415)
+  })
+
+  it('exports lessons as CSV that imports straight back unchanged', async () => {
+    await importCsv(termCsv()).expect(200)
+
+    const exported = await request(app).get('/admin/lessons/export').set('Authorization', admin).expect(200)
+    assert.match(exported.headers['content-disposition'], /lessons\.csv/)
+    assert.equal(exported.text.split('\r\n')[0], HEADER)
+
+    const reimport = await importCsv(exported.text, '?dryRun=true').expect(200)
+    assert.deepEqual(reimport.body.summary, { rows: 2, insert: 0, update: 0, unchanged: 2, errors: 0 })
+  })
+
+  it('exports orders with a row per lesson booked', async () => {
+    const [art] = await seedLessons(db, [{ subject: 'Art', price: 40 }])
+    await request(app)
+      .post('/orders')
+      .send({ name: 'Ada Lovelace', phone: '07123456789', lessons: [{ id: maths._id.toString(), quantity: 2 }, { id: art._id.toString(), quantity: 1 }] })
+      .expect(201)
+
+    await request(app).get('/admin/orders/export').expect(401)
+    const res = await request(app).get('/admin/orders/export?status=pending').set('Authorization', admin).expect(200)
+    const lines = res.text.trim().split('\r\n')
+
+    assert.equal(lines.length, 3)
+    assert.match(lines[1], /,pending,Ada Lovelace,07123456789,,[0-9a-f]{24},Maths,100,2,200,240$/)
+  })
+})
@@ -0,0 +1,125 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createTestApp, seedLessons } = require('./support/app')
+
+describe('lessons', () => {
+  let app, db, tokenFor, lessons
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    lessons = await seedLessons(db, [
+      { subject: 'Maths', location: 'Hendon', price: 100, spaces: 5 },
+      { subject: 'English', location: 'Colindale', price: 80, spaces: 0 },
+      { subject: 'Music', location: 'Hendon', price: 120, spaces: 3 }
+    ])
+  })
+
+  describe('GET /lessons', () => {
+    it('lists lessons sorted by subject with a total count', async () => {
+      const res = await request(app).get('/lessons').expect(200)
+
+      assert.deepEqual(res.body.map(lesson => lesson.subject), ['English', 'Maths', 'Music'])
+      assert.equal(res.headers['x-total-count'], '3')
+    })
+
+    it('pages results and links to the next page', async () => {
+      const res = await request(app).get('/lessons?limit=2&sort=-price').expect(200)
+
+      assert.deepEqual(res.body.map(lesson => lesson.price), [120, 100])
+      assert.match(res.headers.link, /page=2>; rel="next"/)
+    })
+
+    it('filters by price range, spaces and location', async () => {
+      const res = await request(app).get('/lessons?minPrice=90&hasSpaces=true&location=hendon').expect(200)
+
+      assert.deepEqual(res.body.map(lesson => lesson.subject), ['Maths', 'Music'])
+    })
+
+    it('rejects invalid query parameters', async () => {
+      const res = await request(app).get('/lessons?sort=colour&limit=0').expect(400)
+
+      assert.ok(res.body.fields.sort)
+      assert.ok(res.body.fields.limit)
+    })
+  })
+
+  describe('GET /lessons/:id', () => {
+    it('returns one lesson', async () => {
+      const res = await request(app).get(`/lessons/${lessons[0]._id}`).expect(200)
+
+      assert.equal(res.body.subject, 'Maths')
+    })
+
+    it('returns 404 for a malformed id', async () => {
+      await request(app).get('/lessons/not-an-id').expect(404)
+    })
+  })
+
+  describe('POST /lessons', () => {
+    const lesson = { subject: 'Art', location: 'Brent Cross', price: 60, spaces: 8, image: 'art.png' }
+
+    it('requires an admin', async () => {
+      await request(app).post('/lessons').send(lesson).expect(401)
+      await request(app).post('/lessons').set('Authorization', await tokenFor('parent')).send(lesson).expect(403)
+    })
+
+    it('creates a lesson', async () => {
+      const res = await request(app).post('/lessons').set('Authorization', await tokenFor('admin')).send(lesson).expect(201)
+
+      assert.equal(res.body.subject, 'Art')
+      assert.equal(await db.collection('lessons').countDocuments(), 4)
+    })
+
+    it('returns field errors for bad data', async () => {
+      const res = await request(app)
+        .post('/lessons')
+        .set('Authorization', await tokenFor('admin'))
+        .send({ ...lesson, spaces: 'lots', colour: 'red' })
+        .expect(400)
+
+      assert.ok(res.body.fields.spaces)
+      assert.ok(res.body.fields.colour)
+    })
+  })
+
+  describe('PUT /lessons/:id', () => {
+    it('updates the given fields', async () => {
+      await request(app)
+        .put(`/lessons/${lessons[0]._id}`)
+        .set('Authorization', await tokenFor('admin'))
+        .send({ price: 110 })
+        .expect(200)
+
+      const lesson = await db.collection('lessons').findOne({ _id: lessons[0]._id })
+      assert.equal(lesson.price, 110)
+      assert.equal(lesson.subject, 'Maths')
+    })
+
+    it('refuses to change immutable fields', async () => {
+      const res = await request(app)
+        .put(`/lessons/${lessons[0]._id}`)
+        .set('Authorization', await tokenFor('admin'))
+        .send({ _id: 'abc' })
+        .expect(400)
+
+      assert.ok(res.body.fields._id)
+    })
+
+    it('returns 404 for an unknown lesson', async () => {
+      await request(app)
+        .put('/lessons/0123456789abcdef01234567')
+        .set('Authorization', await tokenFor('admin'))
+        .send({ price: 1 })
+        .expect(404)
+    })
+  })
+
+  describe('DELETE /lessons/:id', () => {
+    it('deletes the lesson', async () => {
+      await request(app).delete(`/lessons/${lessons[1]._id}`).set('Authorization', await tokenFor('admin')).expect(200)
+
+      assert.equal(await db.collection('lessons').countDocuments(), 2)
+    })
+  })
+})
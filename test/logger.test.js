@@ -0,0 +1,103 @@
+const { describe, it, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { ObjectId } = require('mongodb')
+const { createTestApp, seedLessons } = require('./support/app')
+const { createLogger, logger } = require('../lib/logger')
+
+function capture(level = 'debug') {
+  const lines = []
+  const log = createLogger({ level, write: line => lines.push(JSON.parse(line)) })
+  return { log, lines }
+}
+
+describe('logger', () => {
+  it('writes JSON lines at or above its level', () => {
+    const { log, lines } = capture('info')
+
+    log.debug('hidden')
+    log.info('shown', { count: 2 })
+    log.child({ lessonId: new ObjectId('64b7f0c2a1b2c3d4e5f60718') }).warn('child')
+
+    assert.deepEqual(lines.map(line => [line.level, line.msg]), [['info', 'shown'], ['warn', 'child']])
+    assert.equal(lines[0].count, 2)
+    assert.equal(lines[1].lessonId, '64b7f0c2a1b2c3d4e5f60718')
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)))
+  })
+
+  it('masks personal and secret fields at any depth', () => {
+    const { log, lines } = capture()
+
+    log.info('order', { order: { name: 'Ada Lovelace', phone: '07123456789', lessons: [{ childName: 'Ben', quantity: 1 }] }, Authorization: 'Bearer x' })
+
+    assert.deepEqual(lines[0].order, { name: '[REDACTED]', phone: '[REDACTED]', lessons: [{ childName: '[REDACTED]', quantity: 1 }] })
+    assert.equal(lines[0].Authorization, '[REDACTED]')
+  })
+
+  it('logs errors with their message and stack', () => {
+    const { log, lines } = capture()
+
+    log.error('failed', { error: new Error('boom') })
+
+    assert.equal(lines[0].error.message, 'boom')
+    assert.match(lines[0].error.stack, /Error: boom/)
+  })
+
+  it('hides the values quoted in duplicate key errors', () => {
+    const { log, lines } = capture()
+    const error = Object.assign(new Error('E11000 duplicate key error collection: shop.users index: email_1 dup key: { email: "ada@example.com" }'), { code: 11000 })
+
+    log.error('failed', { error })
+
+    assert.equal(lines[0].error.message, 'E11000 duplicate key error collection: shop.users index: email_1 dup key: { [REDACTED] }')
+    assert.doesNotMatch(lines[0].error.stack, /ada@example\.com/)
+    assert.equal(lines[0].error.code, 11000)
+  })
+})
+
+describe('request logging', () => {
+  const lines = []
+
+  afterEach(() => {
+    logger.setLevel('silent')
+    logger.setWriter(line => process.stdout.write(line))
+    lines.length = 0
+  })
+
+  it('tags each request with an id and logs its outcome without personal data', async () => {
+    const { app, db } = createTestApp()
+    const [maths] = await seedLessons(db, [{ subject: 'Maths' }])
+    logger.setLevel('info')
+    logger.setWriter(line => lines.push(JSON.parse(line)))
+
+    const res = await request(app)
+      .post('/orders?phone=07123456789')
+      .send({ name: 'Ada Lovelace', phone: '07123456789', lessons: [{ id: maths._id.toString(), quantity: 1 }] })
+      .expect(201)
+
+    const requestId = res.headers['x-request-id']
+    assert.ok(requestId)
+
+    const completed = lines.find(line => line.msg === 'request completed')
+    assert.deepEqual(
+      { requestId: completed.requestId, method: completed.method, path: completed.path, status: completed.status },
+      { requestId, method: 'POST', path: '/orders', status: 201 }
+    )
+    assert.equal(typeof completed.durationMs, 'number')
+
+    // Lines logged deeper in the code carry the same id
+    assert.equal(lines.find(line => line.msg === 'Order created').requestId, requestId)
+    assert.ok(!JSON.stringify(lines).includes('07123456789'))
+    assert.ok(!JSON.stringify(lines).includes('Lovelace'))
+  })
+
+  it('reuses a sensible incoming request id', async () => {
+    const { app } = createTestApp()
+
+    const reused = await request(app).get('/healthz').set('X-Request-Id', 'abc-123').expect(200)
+    assert.equal(reused.headers['x-request-id'], 'abc-123')
+
+    const replaced = await request(app).get('/healthz').set('X-Request-Id', 'bad id with spaces').expect(200)
+    assert.notEqual(replaced.headers['x-request-id'], 'bad id with spaces')
+  })
+})
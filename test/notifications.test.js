@@ -0,0 +1,182 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs/promises')
+const os = require('os')
+const path = require('path')
+const request = require('supertest')
+const { createNotifications } = require('../lib/notifications')
+const { createTwilioTransport, toE164 } = require('../lib/transports')
+const { createTestApp, seedLessons } = require('./support/app')
+const { MemoryDb } = require('./support/memory-db')
+
+// Messages are sent in the background, so wait until each has been tried
+async function settled(db) {
+  const unsent = { $or: [{ status: 'pending', attempts: 0 }, { status: 'sending' }] }
+  for (let i = 0; i < 100; i++) {
+    if (await db.collection('notifications').countDocuments(unsent) === 0) {
+      return db.collection('notifications').find({}).sort({ createdAt: 1 }).toArray()
+    }
+    await new Promise(resolve => setTimeout(resolve, 5))
+  }
+  throw new Error('Notifications were never sent')
+}
+
+describe('notifications', () => {
+  let app, db, tokenFor, maths, dir, file
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'notifications-'))
+    file = path.join(dir, 'notifications.log')
+    ;({ app, db, tokenFor } = createTestApp({ env: { EMAIL_TRANSPORT: 'file', SMS_TRANSPORT: 'file', NOTIFICATIONS_FILE: file } }))
+    ;[maths] = await seedLessons(db, [{ subject: 'Maths', price: 100, spaces: 2 }])
+  })
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true })
+  })
+
+  const sentMessages = async () => (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line))
+
+  const order = (fields = {}) => ({
+    name: 'Ada Lovelace',
+    phone: '07123456789',
+    lessons: [{ id: maths._id.toString(), quantity: 1 }],
+    ...fields
+  })
+
+  it('texts a confirmation when a guest orders', async () => {
+    const res = await request(app).post('/orders').send(order()).expect(201)
+
+    const [message] = await settled(db)
+    assert.equal(message.template, 'orderConfirmed')
+    assert.equal(message.status, 'sent')
+    assert.equal(message.orderId.toString(), res.body.orderId)
+
+    const sent = await sentMessages()
+    assert.equal(sent.length, 1)
+    assert.equal(sent[0].channel, 'sms')
+    assert.equal(sent[0].to, '07123456789')
+    assert.match(sent[0].text, new RegExp(`total £100.00. Order ${res.body.orderNumber}`))
+  })
+
+  it('emails signed in parents as well', async () => {
+    const parent = await tokenFor('parent', { email: 'ada@example.com' })
+    await request(app).post('/orders').set('Authorization', parent).send(order()).expect(201)
+
+    await settled(db)
+    const sent = await sentMessages()
+    const email = sent.find(message => message.channel === 'email')
+    assert.equal(email.to, 'ada@example.com')
+    assert.match(email.subject, /^Booking confirmed/)
+    assert.match(email.text, /- Maths x1: £100.00/)
+  })
+
+  it('tells the parent when an order is cancelled, with the reason', async () => {
+    const parent = await tokenFor('parent')
+    const placed = await request(app).post('/orders').set('Authorization', parent).send(order()).expect(201)
+    await request(app).post(`/orders/${placed.body.orderId}/cancel`).set('Authorization', parent)
+      .send({ reason: 'Moving away' })
+      .expect(200)
+
+    const messages = await settled(db)
+    const cancelled = messages.filter(message => message.template === 'orderCancelled')
+    assert.ok(cancelled.length > 0)
+    assert.ok(cancelled.every(message => message.status === 'sent'))
+
+    const sms = (await sentMessages()).find(message => message.channel === 'sms' && /cancelled/.test(message.text))
+    assert.match(sms.text, /Reason: Moving away/)
+  })
+
+  it('tells a waiting parent when seats are offered', async () => {
+    const [chess] = await seedLessons(db, [{ subject: 'Chess', spaces: 0 }])
+    await request(app).post(`/lessons/${chess._id}/waitlist`).send({ name: 'Alan Turing', phone: '07000000002' }).expect(201)
+    await request(app).put(`/lessons/${chess._id}`).set('Authorization', await tokenFor('admin')).send({ spaces: 1 }).expect(200)
+
+    const [message] = await settled(db)
+    assert.equal(message.template, 'waitlistOffered')
+
+    const [sms] = await sentMessages()
+    assert.equal(sms.to, '07000000002')
+    assert.match(sms.text, /^1 seat on Chess held for you until/)
+  })
+
+  it('sends nothing when both channels are off', async () => {
+    const { app, db } = createTestApp()
+    const [lesson] = await seedLessons(db, [{ spaces: 1 }])
+
+    await request(app).post('/orders').send(order({ lessons: [{ id: lesson._id.toString(), quantity: 1 }] })).expect(201)
+    assert.equal(await db.collection('notifications').countDocuments({}), 0)
+  })
+
+  it('rejects unknown transports and missing settings in config', () => {
+    assert.throws(() => createTestApp({ env: { EMAIL_TRANSPORT: 'pigeon' } }), /EMAIL_TRANSPORT/)
+    assert.throws(() => createTestApp({ env: { EMAIL_TRANSPORT: 'smtp' } }), /SMTP_URL/)
+    assert.throws(() => createTestApp({ env: { SMS_TRANSPORT: 'twilio', TWILIO_ACCOUNT_SID: 'AC1' } }), /TWILIO_AUTH_TOKEN/)
+    assert.throws(() => createTestApp({ env: { SMS_COUNTRY_CODE: '+44' } }), /SMS_COUNTRY_CODE/)
+  })
+
+  it('sends Twilio texts to E.164 numbers', async () => {
+    const requests = []
+    const fetch = async (url, options) => {
+      requests.push(options.body)
+      return { ok: true }
+    }
+    const twilio = createTwilioTransport({ accountSid: 'AC1', authToken: 'secret', from: '+447000000000', countryCode: '44', fetch })
+
+    await twilio.send({ to: '07123456789', text: 'Booked' })
+
+    assert.equal(requests[0].get('To'), '+447123456789')
+    assert.equal(toE164('447123456789', '44'), '+447123456789')
+    assert.equal(toE164('00353861234567', '44'), '+353861234567')
+    assert.equal(toE164('2025550123', '1'), '+12025550123')
+  })
+
+  describe('delivery', () => {
+    let outboxDb, attempts, notifications
+
+    beforeEach(() => {
+      outboxDb = new MemoryDb()
+      attempts = 0
+      const failing = {
+        name: 'test',
+        async send() {
+          attempts++
+          throw new Error('Gateway down')
+        }
+      }
+      notifications = createNotifications({ db: outboxDb, transports: { email: null, sms: failing }, maxAttempts: 2 })
+    })
+
+    const storedOrder = { _id: 'order-1', orderId: 'ORD-1', name: 'Ada', phone: '07123456789', lessons: [], total: 0 }
+
+    it('keeps a failed message for a later retry without failing the caller', async () => {
+      const [queued] = await notifications.orderConfirmed(storedOrder)
+      await settled(outboxDb)
+
+      const message = await outboxDb.collection('notifications').findOne({ _id: queued._id })
+      assert.equal(message.status, 'pending')
+      assert.equal(message.attempts, 1)
+      assert.equal(message.lastError, 'Gateway down')
+      assert.ok(message.nextAttemptAt > new Date())
+
+      // Not due yet, so the sweeper leaves it alone
+      assert.equal(await notifications.deliverDue(), 0)
+      assert.equal(attempts, 1)
+    })
+
+    it('gives up after the last attempt', async () => {
+      const [queued] = await notifications.orderConfirmed(storedOrder)
+      await settled(outboxDb)
+
+      await notifications.deliverDue(new Date(Date.now() + 60 * 60 * 1000))
+
+      const message = await outboxDb.collection('notifications').findOne({ _id: queued._id })
+      assert.equal(message.status, 'failed')
+      assert.equal(message.attempts, 2)
+      assert.equal(attempts, 2)
+
+      await notifications.deliverDue(new Date(Date.now() + 24 * 60 * 60 * 1000))
+      assert.equal(attempts, 2)
+    })
+  })
+})
@@ -0,0 +1,166 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createTestApp, seedLessons } = require('./support/app')
+
+describe('orders', () => {
+  let app, db, tokenFor, maths, music
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    ;[maths, music] = await seedLessons(db, [
+      { subject: 'Maths', price: 100, spaces: 2 },
+      { subject: 'Music', price: 40.5, spaces: 1 }
+    ])
+  })
+
+  const spacesOf = async lesson => (await db.collection('lessons').findOne({ _id: lesson._id })).spaces
+
+  const order = (lessons, fields = {}) => ({
+    name: 'Ada Lovelace',
+    phone: '07123456789',
+    lessons,
+    ...fields
+  })
+
+  describe('POST /orders', () => {
+    it('stores the order with a server side total and takes the seats', async () => {
+      const res = await request(app)
+        .post('/orders')
+        .send(order([{ id: maths._id.toString(), quantity: 2 }, { id: music._id.toString(), quantity: 1 }], { total: 1 }))
+        .expect(201)
+
+      assert.equal(res.body.total, 240.5)
+      assert.equal(await spacesOf(maths), 0)
+      assert.equal(await spacesOf(music), 0)
+
+      const stored = await db.collection('orders').findOne({})
+      assert.equal(stored.total, 240.5)
+      assert.equal(stored.lessons[0].price, 100)
+    })
+
+    it('strips unknown fields', async () => {
+      await request(app)
+        .post('/orders')
+        .send(order([{ id: maths._id.toString(), quantity: 1 }], { admin: true }))
+        .expect(201)
+
+      const stored = await db.collection('orders').findOne({})
+      assert.equal(stored.admin, undefined)
+    })
+
+    it('returns field errors for a bad payload', async () => {
+      const res = await request(app)
+        .post('/orders')
+        .send({ name: 'R2D2', phone: '12-34', lessons: [{ id: 'nope', quantity: 0 }] })
+        .expect(400)
+
+      assert.deepEqual(Object.keys(res.body.fields).sort(), ['lessons[0].id', 'lessons[0].quantity', 'name', 'phone'])
+    })
+
+    it('rejects lessons that do not exist', async () => {
+      const res = await request(app)
+        .post('/orders')
+        .send(order([{ id: '0123456789abcdef01234567', quantity: 1 }]))
+        .expect(400)
+
+      assert.ok(res.body.fields['lessons[0].id'])
+    })
+
+    it('rejects the whole order when a lesson is short and keeps other seats', async () => {
+      const res = await request(app)
+        .post('/orders')
+        .send(order([{ id: maths._id.toString(), quantity: 1 }, { id: music._id.toString(), quantity: 2 }]))
+        .expect(409)
+
+      assert.deepEqual(res.body.lessons.map(lesson => lesson.subject), ['Music'])
+      assert.equal(await spacesOf(maths), 2)
+      assert.equal(await spacesOf(music), 1)
+      assert.equal(await db.collection('orders').countDocuments(), 0)
+    })
+
+    it('never sells the last seat twice', async () => {
+      const attempts = await Promise.all([1, 2, 3].map(() => request(app)
+        .post('/orders')
+        .send(order([{ id: music._id.toString(), quantity: 1 }]))))
+
+      assert.deepEqual(attempts.map(res => res.status).sort(), [201, 409, 409])
+      assert.equal(await spacesOf(music), 0)
+    })
+  })
+
+  describe('GET /orders', () => {
+    it('requires a signed in user', async () => {
+      await request(app).get('/orders').expect(401)
+    })
+
+    it('shows parents only their own orders and admins all of them', async () => {
+      const parent = await tokenFor('parent')
+
+      await request(app).post('/orders').set('Authorization', parent).send(order([{ id: maths._id.toString(), quantity: 1 }])).expect(201)
+      await request(app).post('/orders').send(order([{ id: maths._id.toString(), quantity: 1 }])).expect(201)
+
+      const own = await request(app).get('/orders').set('Authorization', parent).expect(200)
+      const all = await request(app).get('/orders').set('Authorization', await tokenFor('admin')).expect(200)
+
+      assert.equal(own.body.length, 1)
+      assert.equal(all.body.length, 2)
+      assert.equal(all.headers['x-total-count'], '2')
+    })
+  })
+})
+
+describe('order lifecycle', () => {
+  let app, db, tokenFor, maths, parent, orderId
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    ;[maths] = await seedLessons(db, [{ subject: 'Maths', price: 100, spaces: 3 }])
+    parent = await tokenFor('parent')
+
+    const res = await request(app)
+      .post('/orders')
+      .set('Authorization', parent)
+      .send({ name: 'Ada Lovelace', phone: '07123456789', lessons: [{ id: maths._id.toString(), quantity: 2 }] })
+      .expect(201)
+    orderId = res.body.orderId
+  })
+
+  const spaces = async () => (await db.collection('lessons').findOne({ _id: maths._id })).spaces
+
+  it('starts orders as pending', async () => {
+    const res = await request(app).get(`/orders/${orderId}`).set('Authorization', parent).expect(200)
+
+    assert.equal(res.body.status, 'pending')
+    assert.equal(res.body.statusHistory[0].actor.role, 'parent')
+  })
+
+  it('hides other parents\' orders', async () => {
+    await request(app).get(`/orders/${orderId}`).set('Authorization', await tokenFor('parent')).expect(404)
+    await request(app).post(`/orders/${orderId}/cancel`).set('Authorization', await tokenFor('parent')).expect(404)
+  })
+
+  it('lets admins move orders through allowed statuses', async () => {
+    const admin = await tokenFor('admin')
+
+    const confirmed = await request(app).patch(`/orders/${orderId}/status`).set('Authorization', admin).send({ status: 'confirmed' }).expect(200)
+    assert.equal(confirmed.body.status, 'confirmed')
+    assert.equal(confirmed.body.statusHistory.length, 2)
+
+    await request(app).patch(`/orders/${orderId}/status`).set('Authorization', admin).send({ status: 'pending' }).expect(409)
+    await request(app).patch(`/orders/${orderId}/status`).set('Authorization', parent).send({ status: 'refunded' }).expect(403)
+  })
+
+  it('puts seats back when an order is cancelled, only once', async () => {
+    assert.equal(await spaces(), 1)
+
+    const res = await request(app).post(`/orders/${orderId}/cancel`).set('Authorization', parent).send({ reason: 'Moving away' }).expect(200)
+    assert.equal(res.body.status, 'cancelled')
+    assert.equal(res.body.statusHistory.at(-1).reason, 'Moving away')
+    assert.equal(await spaces(), 3)
+
+    await request(app).post(`/orders/${orderId}/cancel`).set('Authorization', parent).expect(409)
+    await request(app).patch(`/orders/${orderId}/status`).set('Authorization', await tokenFor('admin')).send({ status: 'refunded' }).expect(200)
+    assert.equal(await spaces(), 3)
+  })
+})
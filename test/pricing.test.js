@@ -0,0 +1,249 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { allocate } = require('../lib/pricing')
+const { createTestApp, seedLessons } = require('./support/app')
+
+const today = new Date().toISOString().slice(0, 10)
+const daysFromToday = days => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10)
+
+describe('pricing', () => {
+  let app, db, tokenFor, maths, music, art
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp({ env: { SIBLING_DISCOUNT_PERCENT: '10', BUNDLE_DISCOUNT_PERCENT: '5' } }))
+    ;[maths, music, art] = await seedLessons(db, [
+      { subject: 'Maths', price: 100 },
+      { subject: 'Music', price: 40.5 },
+      { subject: 'Art', price: 30 }
+    ])
+  })
+
+  const line = (lesson, quantity = 1, childId) => ({ id: lesson._id.toString(), quantity, ...(childId && { childId }) })
+
+  const addPromotion = promotion => db.collection('promotions').insertOne({ type: 'percentage', value: 10, active: true, uses: 0, ...promotion })
+
+  const quote = body => request(app).post('/orders/quote').send(body)
+
+  it('splits an amount over lines so the parts add up exactly', () => {
+    assert.deepEqual(allocate(100, [1, 1, 1]), [34, 33, 33])
+    assert.deepEqual(allocate(7, [300, 100]), [5, 2])
+    assert.deepEqual(allocate(5, [0, 0]), [0, 0])
+  })
+
+  describe('POST /orders/quote', () => {
+    it('itemises an order with no discounts', async () => {
+      const res = await quote({ lessons: [line(maths), line(music)] }).expect(200)
+
+      assert.equal(res.body.subtotal, 140.5)
+      assert.equal(res.body.total, 140.5)
+      assert.deepEqual(res.body.discounts, [])
+      assert.deepEqual(res.body.items.map(item => [item.subject, item.price, item.discount, item.lineTotal]), [
+        ['Maths', 100, 0, 100],
+        ['Music', 40.5, 0, 40.5]
+      ])
+    })
+
+    it('takes a bundle discount off orders with three or more lessons', async () => {
+      const res = await quote({ lessons: [line(maths, 2), line(art)] }).expect(200)
+
+      assert.equal(res.body.subtotal, 230)
+      assert.deepEqual(res.body.discounts.map(discount => [discount.type, discount.amount]), [['bundle', 11.5]])
+      assert.equal(res.body.total, 218.5)
+      assert.equal(res.body.items.reduce((sum, item) => sum + item.lineTotal, 0), 218.5)
+    })
+
+    it('gives brothers and sisters a discount after the child with the biggest bill', async () => {
+      const [ada, bob] = ['6650a1b2c3d4e5f6a7b8c9d0', '6650a1b2c3d4e5f6a7b8c9d1']
+      const res = await quote({ lessons: [line(maths, 1, ada), line(art, 1, bob)] }).expect(200)
+
+      assert.deepEqual(res.body.discounts.map(discount => [discount.type, discount.amount]), [['sibling', 3]])
+      assert.deepEqual(res.body.items.map(item => item.discount), [0, 3])
+      assert.equal(res.body.total, 127)
+    })
+
+    it('stacks a promo code on top of the automatic discounts', async () => {
+      await addPromotion({ code: 'SPRING10' })
+      const res = await quote({ lessons: [line(maths, 3)], promoCode: 'spring10' }).expect(200)
+
+      assert.deepEqual(res.body.discounts.map(discount => [discount.type, discount.amount]), [['bundle', 15], ['code', 28.5]])
+      assert.equal(res.body.discounts[1].code, 'SPRING10')
+      assert.equal(res.body.total, 256.5)
+    })
+
+    it('never takes a fixed code below zero', async () => {
+      await addPromotion({ code: 'BIGGIFT', type: 'fixed', value: 500 })
+      const res = await quote({ lessons: [line(art)], promoCode: 'BIGGIFT' }).expect(200)
+
+      assert.equal(res.body.discountTotal, 30)
+      assert.equal(res.body.total, 0)
+    })
+
+    it('explains why a code can not be used', async () => {
+      await addPromotion({ code: 'OLD', validTo: daysFromToday(-1) })
+      await addPromotion({ code: 'SOON', validFrom: daysFromToday(2) })
+      await addPromotion({ code: 'GONE', maxUses: 1, uses: 1 })
+      await addPromotion({ code: 'OFF', active: false })
+
+      for (const [code, message] of [
+        ['OLD', 'OLD has expired'],
+        ['SOON', `SOON can't be used until ${daysFromToday(2)}`],
+        ['GONE', 'GONE has been used up'],
+        ['OFF', 'OFF is not a valid code'],
+        ['NOPE', 'NOPE is not a valid code']
+      ]) {
+        const res = await quote({ lessons: [line(art)], promoCode: code }).expect(400)
+        assert.equal(res.body.fields.promoCode, message)
+      }
+
+      await addPromotion({ code: 'TODAY', validFrom: today, validTo: today })
+      await quote({ lessons: [line(art)], promoCode: 'TODAY' }).expect(200)
+    })
+
+    it('prices the lessons held in a cart', async () => {
+      const cart = await request(app).post('/carts').expect(201)
+      await request(app).post(`/carts/${cart.body.id}/items`).send({ lessonId: art._id.toString(), quantity: 2 }).expect(200)
+
+      const res = await quote({ cartId: cart.body.id }).expect(200)
+      assert.equal(res.body.total, 60)
+      assert.equal(await db.collection('orders').countDocuments({}), 0)
+    })
+  })
+
+  describe('POST /orders', () => {
+    const order = (lessons, fields = {}) => ({ name: 'Ada Lovelace', phone: '07123456789', lessons, ...fields })
+
+    it('stores the discounted total and counts the code as used', async () => {
+      await addPromotion({ code: 'SPRING10' })
+      const res = await request(app).post('/orders').send(order([line(maths), line(music)], { promoCode: 'SPRING10' })).expect(201)
+
+      assert.equal(res.body.subtotal, 140.5)
+      assert.equal(res.body.total, 126.45)
+
+      const stored = await db.collection('orders').findOne({})
+      assert.equal(stored.total, 126.45)
+      assert.equal(stored.promoCode, 'SPRING10')
+      assert.equal(Math.round(stored.lessons.reduce((sum, item) => sum + item.lineTotal, 0) * 100) / 100, 126.45)
+      assert.equal((await db.collection('promotions').findOne({ code: 'SPRING10' })).uses, 1)
+    })
+
+    it('stops a code once its uses run out', async () => {
+      await addPromotion({ code: 'ONCE', maxUses: 1 })
+
+      await request(app).post('/orders').send(order([line(art)], { promoCode: 'ONCE' })).expect(201)
+      const res = await request(app).post('/orders').send(order([line(art)], { promoCode: 'ONCE' })).expect(400)
+
+      assert.equal(res.body.fields.promoCode, 'ONCE has been used up')
+    })
+
+    it('hands the use back when the order fails', async () => {
+      await addPromotion({ code: 'ONCE', maxUses: 1 })
+
+      await request(app).post('/orders').send(order([line(art, 6)], { promoCode: 'ONCE' })).expect(409)
+
+      assert.equal((await db.collection('promotions').findOne({ code: 'ONCE' })).uses, 0)
+    })
+
+    it('hands the use back when the order is cancelled', async () => {
+      await addPromotion({ code: 'ONCE', maxUses: 1 })
+      const parent = await tokenFor('parent')
+
+      const placed = await request(app).post('/orders').set('Authorization', parent)
+        .send(order([line(art)], { promoCode: 'ONCE' }))
+        .expect(201)
+      await request(app).post(`/orders/${placed.body.orderId}/cancel`).set('Authorization', parent).send({}).expect(200)
+
+      assert.equal((await db.collection('promotions').findOne({ code: 'ONCE' })).uses, 0)
+      await request(app).post('/orders').send(order([line(art)], { promoCode: 'ONCE' })).expect(201)
+    })
+
+    it('hands the use back to a code renamed after the order', async () => {
+      const { insertedId } = await addPromotion({ code: 'ONCE', maxUses: 1 })
+      const parent = await tokenFor('parent')
+
+      const placed = await request(app).post('/orders').set('Authorization', parent)
+        .send(order([line(art)], { promoCode: 'ONCE' }))
+        .expect(201)
+      await request(app).put(`/admin/promotions/${insertedId}`).set('Authorization', await tokenFor('admin'))
+        .send({ code: 'TWICE' })
+        .expect(200)
+      await request(app).post(`/orders/${placed.body.orderId}/cancel`).set('Authorization', parent).send({}).expect(200)
+
+      assert.equal((await db.collection('promotions').findOne({ _id: insertedId })).uses, 0)
+    })
+
+    it('applies the sibling discount to children on the parent\'s account', async () => {
+      const parent = await tokenFor('parent')
+      const children = []
+      for (const name of ['Ada', 'Bob']) {
+        const res = await request(app).post('/children').set('Authorization', parent)
+          .send({ name, dateOfBirth: '2016-05-01' }).expect(201)
+        children.push(res.body._id)
+      }
+
+      const res = await request(app).post('/orders').set('Authorization', parent)
+        .send(order([line(maths, 1, children[0]), line(music, 1, children[1])]))
+        .expect(201)
+
+      assert.deepEqual(res.body.discounts.map(discount => discount.type), ['sibling'])
+      assert.equal(res.body.total, 136.45)
+    })
+  })
+
+  describe('/admin/promotions', () => {
+    let admin
+
+    beforeEach(async () => {
+      admin = await tokenFor('admin')
+    })
+
+    it('creates, updates and deletes codes', async () => {
+      const created = await request(app).post('/admin/promotions').set('Authorization', admin)
+        .send({ code: 'summer-25', type: 'percentage', value: 25, validTo: '2030-08-31', maxUses: 100 })
+        .expect(201)
+
+      assert.equal(created.body.code, 'SUMMER-25')
+      assert.equal(created.body.active, true)
+      assert.equal(created.body.uses, 0)
+
+      const updated = await request(app).put(`/admin/promotions/${created.body._id}`).set('Authorization', admin)
+        .send({ active: false })
+        .expect(200)
+      assert.equal(updated.body.active, false)
+
+      const list = await request(app).get('/admin/promotions').set('Authorization', admin).expect(200)
+      assert.equal(list.body.length, 1)
+
+      await request(app).delete(`/admin/promotions/${created.body._id}`).set('Authorization', admin).expect(200)
+      await request(app).get(`/admin/promotions/${created.body._id}`).set('Authorization', admin).expect(404)
+    })
+
+    it('rejects duplicate codes and bad values', async () => {
+      const promotion = { code: 'SPRING10', type: 'percentage', value: 10 }
+      await request(app).post('/admin/promotions').set('Authorization', admin).send(promotion).expect(201)
+
+      const duplicate = await request(app).post('/admin/promotions').set('Authorization', admin).send(promotion).expect(409)
+      assert.equal(duplicate.body.code, 'PROMOTION_CODE_TAKEN')
+
+      // A rename racing another one past the existence check hits the index
+      await db.collection('promotions').createIndex({ code: 1 }, { unique: true })
+      const other = await request(app).post('/admin/promotions').set('Authorization', admin).send({ ...promotion, code: 'AUTUMN10' }).expect(201)
+      const promotions = db.collection('promotions')
+      const findOne = promotions.findOne
+      promotions.findOne = async filter => filter.code ? null : findOne.call(promotions, filter)
+      const renamed = await request(app).put(`/admin/promotions/${other.body._id}`).set('Authorization', admin).send({ code: 'SPRING10' }).expect(409)
+      assert.equal(renamed.body.code, 'PROMOTION_CODE_TAKEN')
+      promotions.findOne = findOne
+
+      const invalid = await request(app).post('/admin/promotions').set('Authorization', admin)
+        .send({ code: 'X', type: 'percentage', value: 150, validFrom: '2030-02-01', validTo: '2030-01-01' })
+        .expect(400)
+      assert.deepEqual(Object.keys(invalid.body.fields).sort(), ['code', 'validTo', 'value'])
+    })
+
+    it('is for admins only', async () => {
+      const parent = await tokenFor('parent')
+      await request(app).get('/admin/promotions').set('Authorization', parent).expect(403)
+    })
+  })
+})
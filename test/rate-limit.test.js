@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createMemoryStore, createMongoStore } = require('../lib/rate-limit')
+const { createTestApp } = require('./support/app')
+const { MemoryDb } = require('./support/memory-db')
+
+describe('rate limiting', () => {
+  it('turns clients away with a 429 once a route limit is spent', async () => {
+    const { app } = createTestApp({ env: { SEARCH_RATE_LIMIT_PER_MINUTE: '2' } })
+
+    const first = await request(app).get('/search?query=maths').expect(200)
+    assert.equal(first.headers['ratelimit-limit'], '2')
+    assert.equal(first.headers['ratelimit-remaining'], '1')
+    assert.equal(first.headers['ratelimit-policy'], '2;w=60')
+
+    await request(app).get('/search?query=maths').expect(200)
+    const res = await request(app).get('/search?query=maths').expect(429)
+
+    assert.equal(res.body.code, 'RATE_LIMITED')
+    assert.equal(res.headers['retry-after'], '30')
+    assert.equal(res.headers['ratelimit-remaining'], '0')
+
+    // Other routes have their own buckets
+    await request(app).get('/lessons').expect(200)
+  })
+
+  it('limits checkout separately from the rest of the orders API', async () => {
+    const { app, tokenFor } = createTestApp({ env: { ORDER_RATE_LIMIT_PER_MINUTE: '1' } })
+    const parent = await tokenFor('parent')
+
+    await request(app).post('/orders').send({}).expect(400)
+    await request(app).post('/orders').send({}).expect(429)
+    await request(app).get('/orders').set('Authorization', parent).expect(200)
+  })
+
+  it('applies the overall limit to every route but the health checks', async () => {
+    const { app } = createTestApp({ env: { RATE_LIMIT_PER_MINUTE: '1' } })
+
+    await request(app).get('/lessons').expect(200)
+    await request(app).get('/children').expect(429)
+    await request(app).get('/images/missing.png').expect(429)
+    await request(app).get('/healthz').expect(200)
+    await request(app).get('/readyz').expect(200)
+  })
+
+  it('never limits admins or allowlisted addresses', async () => {
+    const limited = createTestApp({ env: { RATE_LIMIT_PER_MINUTE: '1' } })
+    const admin = await limited.tokenFor('admin')
+
+    for (let i = 0; i < 3; i++) {
+      await request(limited.app).get('/lessons').set('Authorization', admin).expect(200)
+    }
+
+    const { app } = createTestApp({ env: { RATE_LIMIT_PER_MINUTE: '1', RATE_LIMIT_ALLOWLIST: '127.0.0.1, ::ffff:127.0.0.1, ::1' } })
+
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/lessons').expect(200)
+    }
+  })
+
+  it('caps the size of JSON bodies', async () => {
+    const { app } = createTestApp({ env: { MAX_BODY_BYTES: '1024' } })
+    const res = await request(app).post('/orders').send({ name: 'x'.repeat(2000) }).expect(413)
+
+    assert.equal(res.body.code, 'PAYLOAD_TOO_LARGE')
+  })
+
+  it('rejects a bad allowlist or store in config', () => {
+    assert.throws(() => createTestApp({ env: { RATE_LIMIT_ALLOWLIST: 'not-an-ip' } }), /RATE_LIMIT_ALLOWLIST/)
+    assert.throws(() => createTestApp({ env: { RATE_LIMIT_STORE: 'redis' } }), /RATE_LIMIT_STORE/)
+  })
+
+  for (const [name, makeStore] of [
+    ['memory store', () => createMemoryStore()],
+    ['mongo store', () => createMongoStore({ db: new MemoryDb() })]
+  ]) {
+    describe(name, () => {
+      const policy = { capacity: 2, refillPerSecond: 1 }
+
+      it('refills buckets over time', async () => {
+        const store = makeStore()
+        const now = Date.now()
+
+        assert.equal((await store.take('ip', policy, now)).allowed, true)
+        assert.equal((await store.take('ip', policy, now)).allowed, true)
+        assert.equal((await store.take('ip', policy, now)).allowed, false)
+        assert.equal((await store.take('other', policy, now)).allowed, true)
+
+        const later = await store.take('ip', policy, now + 1000)
+        assert.equal(later.allowed, true)
+        assert.equal(later.fullAt, now + 3000)
+      })
+    })
+  }
+
+  it('forgets the least recently used bucket once the memory store is full', async () => {
+    const store = createMemoryStore({ maxBuckets: 2 })
+    const policy = { capacity: 1, refillPerSecond: 1 }
+    const now = Date.now()
+
+    await store.take('a', policy, now)
+    await store.take('b', policy, now)
+    await store.take('a', policy, now)
+    await store.take('c', policy, now)
+
+    assert.equal((await store.take('a', policy, now)).allowed, false)
+    assert.equal((await store.take('b', policy, now)).allowed, true)
+  })
+
+  it('shares mongo buckets between instances', async () => {
+    const db = new MemoryDb()
+    const policy = { capacity: 1, refillPerSecond: 1 }
+    const now = Date.now()
+
+    assert.equal((await createMongoStore({ db }).take('ip', policy, now)).allowed, true)
+    assert.equal((await createMongoStore({ db }).take('ip', policy, now)).allowed, false)
+
+    const [bucket] = await db.collection('rate_limits').find({}).toArray()
+    assert.equal(bucket.expiresAt.getTime(), now + 1000)
+  })
+})
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createTestApp, seedLessons } = require('./support/app')
+const { expandSessions, clashingDates } = require('../lib/schedule')
+
+const tuesdays = {
+  weekday: 'tuesday',
+  startTime: '16:00',
+  endTime: '17:00',
+  termStart: '2026-09-01',
+  termEnd: '2026-09-30',
+  excludedDates: ['2026-09-15']
+}
+
+describe('schedules', () => {
+  it('expands into weekly sessions, skipping excluded dates', () => {
+    assert.deepEqual(expandSessions(tuesdays).map(session => session.date), ['2026-09-01', '2026-09-08', '2026-09-22', '2026-09-29'])
+    assert.deepEqual(expandSessions(tuesdays, { from: '2026-09-20', to: '2026-09-25' }).map(session => session.date), ['2026-09-22'])
+  })
+
+  it('finds dates where two schedules overlap', () => {
+    const later = { ...tuesdays, startTime: '16:30', endTime: '18:00', termStart: '2026-09-20', excludedDates: [] }
+
+    assert.deepEqual(clashingDates(tuesdays, later), ['2026-09-22', '2026-09-29'])
+    assert.deepEqual(clashingDates(tuesdays, { ...later, startTime: '17:00' }), [])
+    assert.deepEqual(clashingDates(tuesdays, { ...later, weekday: 'wednesday' }), [])
+  })
+})
+
+describe('lesson sessions and clashes', () => {
+  let app, db, tokenFor, maths, music, art
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    ;[maths, music, art] = await seedLessons(db, [
+      { subject: 'Maths', schedule: tuesdays },
+      { subject: 'Music', schedule: { ...tuesdays, startTime: '16:30', endTime: '17:30', excludedDates: [] } },
+      { subject: 'Art', schedule: { ...tuesdays, weekday: 'thursday', excludedDates: [] } }
+    ])
+  })
+
+  const order = (lessons, fields = {}) => ({
+    name: 'Ada Lovelace',
+    phone: '07123456789',
+    lessons: lessons.map(lesson => ({ id: lesson._id.toString(), quantity: 1 })),
+    ...fields
+  })
+
+  it('lists a lesson\'s sessions', async () => {
+    const res = await request(app).get(`/lessons/${maths._id}/sessions?from=2026-09-05`).expect(200)
+
+    assert.deepEqual(res.body.sessions.map(session => session.date), ['2026-09-08', '2026-09-22', '2026-09-29'])
+  })
+
+  it('validates schedules on lesson updates', async () => {
+    const res = await request(app)
+      .put(`/lessons/${art._id}`)
+      .set('Authorization', await tokenFor('admin'))
+      .send({ schedule: { ...tuesdays, termEnd: '2026-08-01' } })
+      .expect(400)
+
+    assert.ok(res.body.fields.schedule)
+
+    const endless = await request(app)
+      .put(`/lessons/${art._id}`)
+      .set('Authorization', await tokenFor('admin'))
+      .send({ schedule: { ...tuesdays, termEnd: '2999-12-31' } })
+      .expect(400)
+
+    assert.equal(endless.body.fields.schedule, 'a term can run for at most 366 days')
+  })
+
+  it('rejects orders with lessons at the same time', async () => {
+    const res = await request(app).post('/orders').send(order([maths, music])).expect(409)
+
+    assert.deepEqual(res.body.clashes[0].lessons.map(lesson => lesson.subject), ['Maths', 'Music'])
+    assert.equal(await db.collection('orders').countDocuments(), 0)
+  })
+
+  it('books clashing lessons when asked to, with a warning', async () => {
+    const res = await request(app).post('/orders').send(order([maths, music], { allowClashes: true })).expect(201)
+
+    assert.equal(res.body.warnings.scheduleClashes.length, 1)
+  })
+
+  it('accepts lessons that do not overlap', async () => {
+    await request(app).post('/orders').send(order([maths, art])).expect(201)
+  })
+})
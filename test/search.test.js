@@ -0,0 +1,84 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { createLessonSearch } = require('../lib/search')
+const { createTestApp, seedLessons } = require('./support/app')
+const { MemoryDb } = require('./support/memory-db')
+
+describe('GET /search', () => {
+  let app
+
+  beforeEach(async () => {
+    let db
+    ({ app, db } = createTestApp())
+    await seedLessons(db, [
+      { subject: 'Mathematics', location: 'Hendon', price: 100, spaces: 5 },
+      { subject: 'Music', location: 'Colindale', price: 40, spaces: 2, description: 'Maths through rhythm' },
+      { subject: 'English', location: 'Brent Cross', price: 80, spaces: 0 }
+    ])
+  })
+
+  const subjects = res => res.body.map(lesson => lesson.subject)
+
+  it('ranks subject matches above description matches', async () => {
+    const res = await request(app).get('/search?query=math').expect(200)
+
+    assert.deepEqual(subjects(res), ['Mathematics', 'Music'])
+  })
+
+  it('matches prefixes and small typos', async () => {
+    assert.deepEqual(subjects(await request(app).get('/search?query=eng')), ['English'])
+    assert.deepEqual(subjects(await request(app).get('/search?query=colindal')), ['Music'])
+    assert.deepEqual(subjects(await request(app).get('/search?query=mathematcs')), ['Mathematics'])
+  })
+
+  it('turns numeric conditions into range filters', async () => {
+    const res = await request(app).get('/search?query=' + encodeURIComponent('price<90')).expect(200)
+
+    assert.deepEqual(subjects(res), ['English', 'Music'])
+  })
+
+  it('treats regex characters as plain text', async () => {
+    await request(app).get('/search?query=' + encodeURIComponent('(')).expect(200)
+    const res = await request(app).get('/search?query=' + encodeURIComponent('.*')).expect(200)
+
+    assert.equal(res.body.length, 3)
+  })
+
+  it('returns every lesson for an empty query', async () => {
+    const res = await request(app).get('/search?query=').expect(200)
+
+    assert.equal(res.body.length, 3)
+  })
+
+  it('throws away an index that was being built when a lesson changed', async () => {
+    const db = new MemoryDb()
+    const lessons = db.collection('lessons')
+    await seedLessons(db, [{ subject: 'Mathematics' }])
+
+    // Hold the first build's read back until after the change
+    let release
+    let holding = true
+    const held = new Promise(resolve => { release = resolve })
+    const slow = {
+      find: (...args) => ({
+        toArray: async () => {
+          const found = await lessons.find(...args).toArray()
+          await held
+          return found
+        }
+      })
+    }
+    const lessonSearch = createLessonSearch(() => holding ? slow : lessons)
+
+    const first = lessonSearch.search('science')
+    await seedLessons(db, [{ subject: 'Science' }])
+    lessonSearch.invalidate()
+    holding = false
+    release()
+    await first
+
+    const found = await lessonSearch.search('science')
+    assert.deepEqual(found.map(lesson => lesson.subject), ['Science'])
+  })
+})
@@ -0,0 +1,45 @@
+const { ObjectId } = require('mongodb')
+const { createApp } = require('../../app')
+const { loadConfig } = require('../../config')
+const { issueToken } = require('../../lib/auth')
+const { logger } = require('../../lib/logger')
+const { MemoryDb } = require('./memory-db')
+
+// Keep test output readable; set TEST_VERBOSE=1 to see the app's logging
+logger.setLevel(process.env.TEST_VERBOSE ? 'debug' : 'silent')
+
+// A fresh app backed by an empty in-memory database. env overrides config
+// the same way environment variables do.
+function createTestApp({ env = {} } = {}) {
+  const db = new MemoryDb()
+  const config = loadConfig({ profile: 'test', env, envFile: null })
+  const app = createApp({ db, config })
+
+  // Insert a user with the given role and return a bearer token for them
+  async function tokenFor(role, fields = {}) {
+    const user = { _id: new ObjectId(), email: `${role}-${new ObjectId()}@example.com`, name: 'Test User', role, ...fields }
+    await db.collection('users').insertOne(user)
+    return `Bearer ${issueToken(user, config.jwtSecret)}`
+  }
+
+  return { app, db, config, tokenFor }
+}
+
+// Insert lessons with sensible defaults, returning them with their _id
+async function seedLessons(db, lessons) {
+  const docs = lessons.map(lesson => ({
+    subject: 'Maths',
+    location: 'Hendon',
+    price: 100,
+    spaces: 5,
+    image: 'maths.png',
+    ...lesson
+  }))
+  await db.collection('lessons').insertMany(docs)
+  return docs
+}
+
+module.exports = {
+  createTestApp,
+  seedLessons
+}
@@ -0,0 +1,307 @@
+// A small in-memory stand-in for the parts of the MongoDB driver the app
+// uses, so the tests run offline without a mongod. Queries, updates and
+// aggregation pipelines are evaluated by mingo. Documents are copied through
+// BSON on the way in and out, the same as a real round trip to the server.
+
+const { BSON, ObjectId } = require('mongodb')
+const mingo = require('mingo')
+
+const { EJSON } = BSON
+
+const clone = doc => BSON.deserialize(BSON.serialize(doc))
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value == null ? undefined : value[key], doc)
+
+function duplicateKeyError(collection, key) {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} dup key: ${EJSON.stringify(key)}`)
+  error.name = 'MongoServerError'
+  error.code = 11000
+  return error
+}
+
+class MemoryCursor {
+  constructor(load) {
+    this.load = load
+    this.sortSpec = null
+    this.skipCount = 0
+    this.limitCount = 0
+  }
+
+  sort(spec) {
+    this.sortSpec = spec
+    return this
+  }
+
+  skip(count) {
+    this.skipCount = count
+    return this
+  }
+
+  limit(count) {
+    this.limitCount = count
+    return this
+  }
+
+  async toArray() {
+    let docs = this.load()
+    if (this.sortSpec) {
+      docs = mingo.find(docs, {}).sort(this.sortSpec).all()
+    }
+    docs = docs.slice(this.skipCount, this.limitCount ? this.skipCount + this.limitCount : undefined)
+    return docs.map(clone)
+  }
+
+  async * [Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) {
+      yield doc
+    }
+  }
+
+  stream() {
+    const { Readable } = require('stream')
+    return Readable.from(this)
+  }
+
+  async close() {}
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name
+    this.docs = []
+    this.indexSpecs = []
+  }
+
+  matching(filter = {}) {
+    return mingo.find(this.docs, filter).all()
+  }
+
+  checkUnique(doc, ignore) {
+    // _id is always unique, as it is in MongoDB
+    const id = String(doc._id)
+    if (this.docs.some(other => other !== ignore && String(other._id) === id && EJSON.stringify(other._id) === EJSON.stringify(doc._id))) {
+      throw duplicateKeyError(this.collectionName, { _id: doc._id })
+    }
+
+    for (const index of this.indexSpecs.filter(index => index.unique)) {
+      const fields = Object.keys(index.key)
+      const keyOf = candidate => Object.fromEntries(fields.map(field => [field, getPath(candidate, field) ?? null]))
+      const key = keyOf(doc)
+      if (index.sparse && fields.every(field => getPath(doc, field) === undefined)) {
+        continue
+      }
+      const keyJson = EJSON.stringify(key)
+      const clash = this.docs.find(other => other !== ignore && EJSON.stringify(keyOf(other)) === keyJson)
+      if (clash) {
+        throw duplicateKeyError(this.collectionName, key)
+      }
+    }
+  }
+
+  async createIndex(key, options = {}) {
+    const name = options.name || Object.entries(key).map(([field, dir]) => `${field}_${dir}`).join('_')
+    if (!this.indexSpecs.some(index => index.name === name)) {
+      this.indexSpecs.push({ name, key, ...options })
+    }
+    return name
+  }
+
+  async indexes() {
+    return this.indexSpecs
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) {
+      doc._id = new ObjectId()
+    }
+    const stored = clone(doc)
+    this.checkUnique(stored)
+    this.docs.push(stored)
+    return { acknowledged: true, insertedId: doc._id }
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {}
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc)).insertedId
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds }
+  }
+
+  find(filter = {}, options = {}) {
+    return new MemoryCursor(() => options.projection
+      ? mingo.find(this.docs, filter, options.projection).all()
+      : this.matching(filter))
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, options).sort(options.sort || null).limit(1).toArray()
+    return doc || null
+  }
+
+  async countDocuments(filter = {}) {
+    return this.matching(filter).length
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.matching(filter).map(doc => doc[field]).flat()
+    const seen = new Map(values.map(value => [EJSON.stringify({ value }), value]))
+    return [...seen.values()]
+  }
+
+  aggregate(pipeline) {
+    return new MemoryCursor(() => mingo.aggregate(this.docs.map(clone), pipeline))
+  }
+
+  // Apply an update to one stored document, returning true when it changed
+  applyUpdate(doc, update) {
+    const { $setOnInsert, ...modifier } = update
+    const before = EJSON.stringify(doc)
+    const candidate = clone(doc)
+    if (Object.keys(modifier).length > 0) {
+      mingo.update(candidate, modifier)
+    }
+    this.checkUnique(candidate, doc)
+    for (const key of Object.keys(doc)) delete doc[key]
+    Object.assign(doc, candidate)
+    return EJSON.stringify(doc) !== before
+  }
+
+  upsertDocument(filter, update) {
+    const doc = {}
+    for (const [field, value] of Object.entries(filter)) {
+      if (!field.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof ObjectId || value instanceof Date)) {
+        doc[field] = value
+      }
+    }
+    const { $setOnInsert, ...modifier } = update
+    if (Object.keys(modifier).length > 0) {
+      mingo.update(doc, modifier)
+    }
+    if ($setOnInsert) {
+      mingo.update(doc, { $set: $setOnInsert })
+    }
+    if (doc._id === undefined) {
+      doc._id = new ObjectId()
+    }
+    this.checkUnique(doc)
+    this.docs.push(doc)
+    return doc
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = options.sort
+      ? mingo.find(this.docs, filter).sort(options.sort).all()
+      : this.matching(filter)
+
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = this.upsertDocument(filter, update)
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id }
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null }
+    }
+
+    const modified = this.applyUpdate(doc, update)
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null }
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.matching(filter)
+    let modifiedCount = 0
+    for (const doc of docs) {
+      if (this.applyUpdate(doc, update)) {
+        modifiedCount++
+      }
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount }
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = options.sort
+      ? mingo.find(this.docs, filter).sort(options.sort).all()
+      : this.matching(filter)
+
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = this.upsertDocument(filter, update)
+        return options.returnDocument === 'after' ? clone(inserted) : null
+      }
+      return null
+    }
+
+    const before = clone(doc)
+    this.applyUpdate(doc, update)
+    return options.returnDocument === 'after' ? clone(doc) : before
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = options.sort
+      ? mingo.find(this.docs, filter).sort(options.sort).all()
+      : this.matching(filter)
+    if (!doc) {
+      return null
+    }
+    this.docs.splice(this.docs.indexOf(doc), 1)
+    return clone(doc)
+  }
+
+  async replaceOne(filter, replacement) {
+    const [doc] = this.matching(filter)
+    if (!doc) {
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0 }
+    }
+    const next = clone({ ...replacement, _id: doc._id })
+    this.checkUnique(next, doc)
+    this.docs[this.docs.indexOf(doc)] = next
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 }
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.matching(filter)
+    if (!doc) {
+      return { acknowledged: true, deletedCount: 0 }
+    }
+    this.docs.splice(this.docs.indexOf(doc), 1)
+    return { acknowledged: true, deletedCount: 1 }
+  }
+
+  async deleteMany(filter = {}) {
+    const doomed = new Set(this.matching(filter))
+    this.docs = this.docs.filter(doc => !doomed.has(doc))
+    return { acknowledged: true, deletedCount: doomed.size }
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map()
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name))
+    }
+    return this.collections.get(name)
+  }
+
+  listCollections() {
+    const names = [...this.collections.keys()].map(name => ({ name }))
+    return { toArray: async () => names }
+  }
+
+  async command(command) {
+    if (command.ping) {
+      return { ok: 1 }
+    }
+    throw new Error(`MemoryDb does not support command ${Object.keys(command)[0]}`)
+  }
+}
+
+module.exports = {
+  MemoryDb
+}
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const request = require('supertest')
+const { ObjectId } = require('mongodb')
+const { createTestApp, seedLessons } = require('./support/app')
+const { createWaitlist } = require('../lib/waitlist')
+const { createAudit } = require('../lib/audit')
+
+describe('waitlist', () => {
+  let app, db, tokenFor, lesson, admin
+
+  beforeEach(async () => {
+    ({ app, db, tokenFor } = createTestApp())
+    ;[lesson] = await seedLessons(db, [{ subject: 'Chess', spaces: 0 }])
+    admin = await tokenFor('admin')
+  })
+
+  const join = (name, phone, quantity) => request(app)
+    .post(`/lessons/${lesson._id}/waitlist`)
+    .send({ name, phone, quantity })
+
+  const spaces = async () => (await db.collection('lessons').findOne({ _id: lesson._id })).spaces
+  const entry = async id => db.collection('waitlist').findOne({ _id: new ObjectId(id) })
+
+  it('queues parents in order', async () => {
+    const first = await join('Ada Lovelace', '07000000001').expect(201)
+    const second = await join('Alan Turing', '07000000002', 2).expect(201)
+
+    assert.equal(first.body.position, 1)
+    assert.equal(second.body.position, 2)
+
+    const list = await request(app).get(`/lessons/${lesson._id}/waitlist`).set('Authorization', admin).expect(200)
+    assert.deepEqual(list.body.map(item => item.name), ['Ada Lovelace', 'Alan Turing'])
+  })
+
+  it('only lets admins view the waitlist', async () => {
+    await request(app).get(`/lessons/${lesson._id}/waitlist`).set('Authorization', await tokenFor('parent')).expect(403)
+  })
+
+  it('refuses to queue for a lesson with spaces', async () => {
+    await db.collection('lessons').updateOne({ _id: lesson._id }, { $set: { spaces: 3 } })
+
+    await join('Ada Lovelace', '07000000001').expect(409)
+  })
+
+  it('offers seats to the queue when an admin raises spaces', async () => {
+    const first = await join('Ada Lovelace', '07000000001', 2).expect(201)
+    const second = await join('Alan Turing', '07000000002').expect(201)
+
+    await request(app).put(`/lessons/${lesson._id}`).set('Authorization', admin).send({ spaces: 2 }).expect(200)
+
+    const offered = await entry(first.body.entryId)
+    assert.equal(offered.status, 'offered')
+    assert.ok(offered.offerExpiresAt > new Date())
+    assert.equal((await entry(second.body.entryId)).status, 'waiting')
+    assert.equal(await spaces(), 0)
+  })
+
+  it('turns an offer into an order without taking the seats twice', async () => {
+    const joined = await join('Ada Lovelace', '07000000001').expect(201)
+    await request(app).put(`/lessons/${lesson._id}`).set('Authorization', admin).send({ spaces: 1 }).expect(200)
+
+    await request(app)
+      .post('/orders')
+      .send({ name: 'Ada Lovelace', phone: '07000000009', lessons: [{ id: lesson._id.toString(), quantity: 1 }], waitlistEntryId: joined.body.entryId })
+      .expect(409)
+
+    await request(app)
+      .post('/orders')
+      .send({ name: 'Ada Lovelace', phone: '07000000001', lessons: [{ id: lesson._id.toString(), quantity: 1 }], waitlistEntryId: joined.body.entryId })
+      .expect(201)
+
+    assert.equal((await entry(joined.body.entryId)).status, 'converted')
+    assert.equal(await spaces(), 0)
+  })
+
+  it('offers seats freed by a cancelled order', async () => {
+    await db.collection('lessons').updateOne({ _id: lesson._id }, { $set: { spaces: 1 } })
+    const order = await request(app)
+      .post('/orders')
+      .send({ name: 'Grace Hopper', phone: '07000000003', lessons: [{ id: lesson._id.toString(), quantity: 1 }] })
+      .expect(201)
+    const joined = await join('Ada Lovelace', '07000000001').expect(201)
+
+    await request(app).post(`/orders/${order.body.orderId}/cancel`).set('Authorization', admin).expect(200)
+
+    assert.equal((await entry(joined.body.entryId)).status, 'offered')
+    assert.equal(await spaces(), 0)
+  })
+
+  it('passes expired offers down the queue', async () => {
+    const first = await join('Ada Lovelace', '07000000001').expect(201)
+    const second = await join('Alan Turing', '07000000002').expect(201)
+    await request(app).put(`/lessons/${lesson._id}`).set('Authorization', admin).send({ spaces: 1 }).expect(200)
+
+    const waitlist = createWaitlist({ db, offerMinutes: 60, audit: createAudit({ db }) })
+    const expired = await waitlist.expireOffers(new Date(Date.now() + 61 * 60000))
+
+    assert.equal(expired, 1)
+    assert.equal((await entry(first.body.entryId)).status, 'expired')
+    assert.equal((await entry(second.body.entryId)).status, 'offered')
+    assert.equal(await spaces(), 0)
+  })
+})